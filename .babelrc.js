@@ -7,6 +7,20 @@ let presets;
 
 if (BABEL_ENV === 'es') {
   presets = [];
+} else if (NODE_ENV === 'test') {
+  /**
+   * Tests run in the current node, which supports async functions without regenerator runtime.
+   */
+  presets = [
+    [
+      '@babel/preset-env',
+      {
+        targets: {
+          node: 'current',
+        },
+      },
+    ],
+  ];
 } else {
   presets = [
     [
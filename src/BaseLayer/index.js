@@ -0,0 +1,1618 @@
+import PropTypes from 'prop-types';
+import { isEqual } from 'lodash';
+import AMapAdapter from '../adapters/AMap';
+import WorkerRenderer from '../renderers/Worker';
+import copyCanvas from '../utils/copyCanvas';
+import GridIndex from '../utils/GridIndex';
+import convertCoordinates from '../utils/convertCoordinates';
+import createStyleResolver from '../utils/createStyleResolver';
+import getCoordinatesBounds from '../utils/getCoordinatesBounds';
+import getDPR from '../utils/getDPR';
+import isNullVoid from '../utils/isNullVoid';
+import lngLatToWorld from '../utils/lngLatToWorld';
+import moveCanvas from '../utils/moveCanvas';
+import scaleCanvas from '../utils/scaleCanvas';
+import watchDPR from '../utils/watchDPR';
+
+/**
+ * BaseLayer owns everything a canvas layer needs to live on a map: canvas mounting, event hooks,
+ * daemon canvas swap, drag suppression, hover diffing and cursor handling. Map provider is reached
+ * through a map adapter only, which is AMap adapter by default.
+ * A layer extends BaseLayer and provides two parts:
+ * 1. Renderer: A static 2drender compatible renderer class, which implements config, render and
+ * findByPosition functions.
+ * 2. projectItem: Transform a data item in lng lat coordinates to a renderer item in canvas
+ * coordinates.
+ * A layer may also support worker mode by defining static workerType, which is the name of the
+ * worker renderer, and static workerFields, which are item properties copied to worker.
+ * A layer whose renderer supports getSnapshotBeforeRender may set static deferProjection to true,
+ * so that items are transformed only right before each of them renders.
+ */
+class BaseLayer {
+  /**
+   * Transform lng lat coordinates to canvas coordinates with the given AMap instance.
+   * Kept for compatibility. Layers should call project function, which goes through map adapter.
+   */
+  static coordinateTransformation(map, coordinates) {
+    return AMapAdapter.lngLatToContainer(map, coordinates);
+  }
+
+  /**
+   * Return an item clipped to time window [start, end], or null if the item is out of window.
+   * By default, items are filtered by their time property, and items without time are always
+   * visible. Layers whose items carry per-vertex timestamps should override this static function.
+   */
+  static filterByTime(item, start, end) {
+    const { time } = item;
+
+    if (isNullVoid(time) || (start <= time && time <= end)) return item;
+    return null;
+  }
+
+  /**
+   * Return lng lat bounding box [minLng, minLat, maxLng, maxLat] of a data item, which is used
+   * by viewport culling. Items without bounding box, i.e. items positioned in canvas coordinates,
+   * are always rendered.
+   * By default, bounding box is derived from item location. Layers whose items have other
+   * shapes should override this static function.
+   */
+  static getItemBounds(item) {
+    const { location, position } = item;
+
+    if (!isNullVoid(position) || isNullVoid(location)) return null;
+    return getCoordinatesBounds([location]);
+  }
+
+  constructor(props) {
+    const {
+      adapter,
+      map,
+      opacity = 1,
+      worker = false,
+      zIndex = 12,
+      zooms = [3, 18],
+    } = props;
+
+    /**
+     * Get device pixel ratio. It is critical to support RETINA devices.
+     * DPR changes when browser is dragged to a device of another DPR, or when browser is zoomed.
+     * Canvases are resized and rendered again at the new DPR, so that images never blur.
+     */
+    this.dpr = getDPR();
+
+    /**
+     * Save items that pointer is hovering. Compare with previous hover items to understand
+     * whether it is a mouse over or mouse out event.
+     */
+    this.hoverItems = [];
+    /**
+     * Its functionality is very similar to hoverItems, although it is used to determine
+     * cursor style.
+     */
+    this.hoverStyleItems = [];
+    /**
+     * Custom layer opacity, zIndex and visible zoom range cannot be changed during lifetime.
+     * They are memorised for exports.
+     */
+    this.opacity = opacity;
+    this.zIndex = zIndex;
+    this.zooms = zooms;
+    /**
+     * Map instance and map adapter cannot be changed during lifetime, therefore, they are not
+     * memorised by config function. AMap instance is wrapped in AMap adapter if adapter is not
+     * given.
+     */
+    this.map = map;
+    this.adapter = isNullVoid(adapter) ? new AMapAdapter(map) : adapter;
+    /**
+     * Hook map click event.
+     */
+    this.adapter.on('click', this.handleClick, this);
+    this.adapter.on('dblclick', this.handleDoubleClick, this);
+    this.adapter.on('mousemove', this.handleMouseMove, this);
+    /**
+     * Do not render canvas if map is dragging.
+     */
+    this.adapter.on('dragend', this.handleDragEnd, this);
+    this.adapter.on('dragstart', this.handleDragStart, this);
+    this.adapter.on('touchend', this.handleDragEnd, this);
+    this.adapter.on('touchstart', this.handleDragStart, this);
+    /**
+     * Move canvas with map while dragging in live pan mode.
+     */
+    this.adapter.on('mapmove', this.handleMapMove, this);
+    /**
+     * Follow map container size. Adapters that cannot watch size leave canvas size as it is.
+     */
+    this.unwatchSize = typeof this.adapter.watchSize === 'function'
+      ? this.adapter.watchSize(this.handleResize.bind(this))
+      : () => {};
+
+    /**
+     * Do not render canvas if map is dragging.
+     */
+    this.isDragging = false;
+    /**
+     * Every render pass takes a new generation. A pass whose generation is no longer the latest
+     * has been superseded, and is never swapped onto visible canvas.
+     */
+    this.renderGeneration = 0;
+
+    /**
+     * Create canvas.
+     */
+    this.canvas = window.document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d');
+    /**
+     * A Daemon is a programme that runs as a background process, rather than being under the direct
+     * control of an interactive user.
+     * With underlying renderer, hundreds of thousands of UI elements are rendered asynchronously by
+     * taking advantage of CPU idle time. This beautiful animation is attractive for the initial
+     * render. However, all following re-renders, such as dragging, UI elements position changing,
+     * and etc, breaks logical links with the previous state with this animation.
+     * Keeping visible canvas frozen, while rendering UI elements at background and display
+     * daemon canvas as soon as it completes prevents unnecessary UI elements flash.
+     */
+    this.daemonCanvas = document.createElement('canvas');
+    this.unwatchDPR = watchDPR(this.handleDPRChange.bind(this));
+    /**
+     * Memorise properties that can be changed during lifetime.
+     */
+    this.config(props);
+    /**
+     * Render in a worker only if the layer and the browser support it. Worker mode cannot be
+     * changed during lifetime.
+     */
+    this.isWorkerMode = worker
+      && !isNullVoid(this.constructor.workerType)
+      && WorkerRenderer.isSupported();
+    /**
+     * Renderer draws items onto canvas and finds items by canvas position. Worker renderer
+     * projects items in world pixel coordinates, therefore layer in worker mode renders on main
+     * thread while map is rotated or pitched. The active renderer is chosen every render.
+     */
+    this.mainRenderer = new this.constructor.Renderer();
+    this.workerRenderer = this.isWorkerMode
+      ? new WorkerRenderer({ layerType: this.constructor.workerType })
+      : void 0;
+    this.renderer = this.isWorkerMode ? this.workerRenderer : this.mainRenderer;
+    /**
+     * Display canvas on map. Internal render function will be called every time canvas needs
+     * update.
+     */
+    this.unmount = this.adapter.mount(this.canvas, {
+      opacity,
+      render: this.internalRender.bind(this),
+      zIndex,
+      zooms,
+    });
+  }
+
+  /**
+   * Abort render in progress. Its canvas is never swapped onto visible canvas, and its promise
+   * settles with the newer render instead of waiting for renderer.
+   */
+  abortRender() {
+    this.renderGeneration += 1;
+    if (typeof this.resolveSuperseded === 'function') this.resolveSuperseded();
+    this.resolveSuperseded = void 0;
+  }
+
+  /**
+   * Append items to data, and render in the next animation frame. Items without id are drawn,
+   * but cannot be got, updated or removed by id.
+   * Return a promise that resolves when canvas is rendered.
+   */
+  add(items) {
+    return this.changeData((data) => {
+      const itemIndex = this.getItemIndex();
+
+      items.forEach((item) => {
+        const id = item[this.idField];
+        if (!isNullVoid(id)) itemIndex.set(id, data.length);
+        data.push(item);
+      });
+    });
+  }
+
+  /**
+   * Apply an incremental change to data, discard everything derived from data, and render in
+   * the next animation frame. Updates within the same frame are rendered once.
+   */
+  changeData(mutate) {
+    if (!this.isDataCopied) {
+      this.data = this.data.slice();
+      this.isDataCopied = true;
+    }
+
+    mutate(this.data);
+    /**
+     * Style scales that derive domain or quantiles from data are no longer valid.
+     */
+    if (!isNullVoid(this.styleResolver) && this.styleResolver.isDataDependent) {
+      this.styleResolver = void 0;
+    }
+    this.invalidateData();
+
+    return this.scheduleRender();
+  }
+
+  /**
+   * All properties that can be changed during lifetime should be handled by this function.
+   * Update ctx, dataset, and event callbacks.
+   * Layers with additional properties should override this function and call super.config.
+   */
+  config(props) {
+    const {
+      coordinateSystem = 'gcj02',
+      culling = true,
+      cullingMargin = 100,
+      data = [],
+      height,
+      idField = 'id',
+      livePan = false,
+      onClick,
+      onDoubleClick,
+      onMouseOut,
+      onMouseOver,
+      onRenderComplete,
+      onRenderProgress,
+      onRenderStart,
+      style,
+      timeWindow = Infinity,
+      width,
+    } = props;
+
+    this.coordinateSystem = coordinateSystem;
+    this.culling = culling;
+    this.cullingMargin = cullingMargin;
+    this.data = data;
+    this.idField = idField;
+    this.livePan = livePan;
+    this.style = style;
+    this.timeWindow = timeWindow;
+    /**
+     * Data array given by user is copied before the first incremental update, so that user's
+     * array is never mutated.
+     */
+    this.isDataCopied = false;
+    /**
+     * Item positions keyed by id, which is built on demand.
+     */
+    this.itemIndex = void 0;
+    /**
+     * Converted items, style resolver, item bounds and projected items are no longer valid once
+     * properties change.
+     */
+    this.convertedItems = new WeakMap();
+    this.styleResolver = void 0;
+    this.itemBounds = new WeakMap();
+    this.spatialIndexItems = void 0;
+    this.resetProjectedItems();
+    this.invalidateData();
+    this.onClick = onClick;
+    this.onDoubleClick = onDoubleClick;
+    this.onMouseOut = onMouseOut;
+    this.onMouseOver = onMouseOver;
+    this.onRenderComplete = onRenderComplete;
+    this.onRenderProgress = onRenderProgress;
+    this.onRenderStart = onRenderStart;
+    /**
+     * Explicit width and height override map container size.
+     */
+    this.explicitHeight = height;
+    this.explicitWidth = width;
+    this.setSize(this.getCanvasSize());
+  }
+
+  /**
+   * Return the data item with its coordinates converted to GCJ-02, if the item is in another
+   * coordinate system. Item coordinate system has higher priority over layer coordinate system.
+   * Converted items are memorised by item identity, so that pan and zoom never convert again.
+   */
+  convertItem(item) {
+    const { coordinateSystem = this.coordinateSystem } = item;
+
+    if (coordinateSystem === 'gcj02') return item;
+
+    let convertedItem = this.convertedItems.get(item);
+
+    if (convertedItem === void 0) {
+      /**
+       * Converted item is marked as GCJ-02, so that it is never converted twice.
+       */
+      convertedItem = {
+        ...item,
+        coordinateSystem: 'gcj02',
+      };
+      this.constructor.coordinateFields.forEach((field) => {
+        if (!isNullVoid(item[field])) {
+          convertedItem[field] = convertCoordinates(item[field], coordinateSystem);
+        }
+      });
+      this.convertedItems.set(item, convertedItem);
+    }
+
+    return convertedItem;
+  }
+
+  /**
+   * Remove canvas from map.
+   */
+  destroy() {
+    this.unmount();
+    this.unwatchDPR();
+    this.unwatchSize();
+    /**
+     * Render in progress is aborted.
+     */
+    this.abortRender();
+    if (!isNullVoid(this.livePanFrameId)) window.cancelAnimationFrame(this.livePanFrameId);
+    /**
+     * Terminate render worker.
+     */
+    if (!isNullVoid(this.workerRenderer)) this.workerRenderer.destroy();
+    /**
+     * Remove event hooks.
+     * https://github.com/marcosun/amap-2drender/issues/1
+     */
+    this.adapter.off('click', this.handleClick, this);
+    this.adapter.off('dblclick', this.handleDoubleClick, this);
+    this.adapter.off('dragend', this.handleDragEnd, this);
+    this.adapter.off('dragstart', this.handleDragStart, this);
+    this.adapter.off('mapmove', this.handleMapMove, this);
+    this.adapter.off('mousemove', this.handleMouseMove, this);
+    this.adapter.off('touchend', this.handleDragEnd, this);
+    this.adapter.off('touchstart', this.handleDragStart, this);
+  }
+
+  /**
+   * Return a list of items rendered at the given canvas position.
+   * In worker mode, return a promise of the list, because items are found by worker.
+   */
+  findByPosition(pixel) {
+    return this.renderer.findByPosition(pixel);
+  }
+
+  /**
+   * Call callback with a list of items rendered at the given canvas position, regardless of
+   * whether items are found synchronously or by worker. Worker answers in order, therefore
+   * callbacks are called in the same order as they are requested.
+   */
+  findByPositionThen(pixel, callback) {
+    const items = this.findByPosition(pixel);
+
+    if (typeof items.then === 'function') {
+      items.then(callback);
+    } else {
+      callback(items);
+    }
+  }
+
+  /**
+   * Return the data item of the given id, or undefined if not found.
+   */
+  get(id) {
+    const index = this.getItemIndex().get(id);
+
+    return isNullVoid(index) ? void 0 : this.data[index];
+  }
+
+  /**
+   * Return canvas CSS size { height, width }. Width and height that are not given explicitly
+   * follow map container size.
+   */
+  getCanvasSize() {
+    const { explicitHeight, explicitWidth } = this;
+
+    if (!isNullVoid(explicitHeight) && !isNullVoid(explicitWidth)) {
+      return {
+        height: explicitHeight,
+        width: explicitWidth,
+      };
+    }
+
+    const size = this.adapter.getSize();
+
+    return {
+      height: isNullVoid(explicitHeight) ? size.height : explicitHeight,
+      width: isNullVoid(explicitWidth) ? size.width : explicitWidth,
+    };
+  }
+
+  /**
+   * Return data items in GCJ-02 coordinates. Returned list is memorised until data changes.
+   */
+  getConvertedData() {
+    if (isNullVoid(this.convertedData)) {
+      this.convertedData = this.data.map((item) => this.convertItem(item));
+    }
+
+    return this.convertedData;
+  }
+
+  /**
+   * Return data items to render. Items are converted to GCJ-02 coordinates. If time range is
+   * set, only items within time range are returned. If style is set, items are merged with their
+   * resolved style.
+   * Returned data is memorised until data, time range, style or zoom that style depends on
+   * changes, therefore it is safe to compare its identity to understand whether data to render
+   * has changed.
+   */
+  getData() {
+    let data = this.getConvertedData();
+
+    if (!isNullVoid(this.timeRange)) {
+      if (isNullVoid(this.timeFilteredData)) {
+        const [start, end] = this.timeRange;
+        this.timeFilteredData = [];
+        data.forEach((item) => {
+          const filteredItem = this.constructor.filterByTime(item, start, end);
+          if (!isNullVoid(filteredItem)) this.timeFilteredData.push(filteredItem);
+        });
+      }
+
+      data = this.timeFilteredData;
+    }
+
+    return this.getStyledData(data);
+  }
+
+  /**
+   * Return a map from item id to item position in data. Items without id are not indexed.
+   */
+  getItemIndex() {
+    if (isNullVoid(this.itemIndex)) {
+      this.itemIndex = new Map();
+      this.data.forEach((item, index) => {
+        const id = item[this.idField];
+        if (!isNullVoid(id)) this.itemIndex.set(id, index);
+      });
+    }
+
+    return this.itemIndex;
+  }
+
+  /**
+   * Return the renderer item of the given data item. Renderer items are memorised by data item
+   * identity until view state changes, therefore items that are not changed by incremental
+   * updates are not transformed again.
+   */
+  getProjectedItem(item) {
+    let projectedItem = this.projectedItems.get(item);
+
+    if (projectedItem === void 0) {
+      projectedItem = this.projectItem(item);
+      this.projectedItems.set(item, projectedItem);
+    }
+
+    return projectedItem;
+  }
+
+  /**
+   * Return properties passed to renderer config function, apart from canvas, dpr and canvas size.
+   * By default, visible data items are transformed to canvas coordinates before render.
+   * When dataset is large, transforming every item at once blocks user input. Layers that defer
+   * projection pass getSnapshotBeforeRender instead, which renderer scheduler calls right before
+   * each item renders, in idle time.
+   */
+  getRendererProps() {
+    const data = this.getVisibleItems(this.getData());
+
+    if (this.constructor.deferProjection) {
+      return {
+        data,
+        getSnapshotBeforeRender: (item) => {
+          return this.getProjectedItem(item);
+        },
+      };
+    }
+
+    return {
+      data: data.map((item) => {
+        return this.getProjectedItem(item);
+      }),
+    };
+  }
+
+  /**
+   * Merge every item with style resolved from style spec. Properties defined on item have higher
+   * priority over style, so that a few items can be styled differently without changing style.
+   * Scale domains and quantiles are computed from the whole dataset, rather than time filtered
+   * data, so that an item keeps its style throughout playback.
+   */
+  getStyledData(data) {
+    if (isNullVoid(this.style)) return data;
+
+    const zoom = this.adapter.getZoom();
+
+    if (isNullVoid(this.styleResolver)) {
+      this.styleResolver = createStyleResolver(this.style, this.data);
+      this.styledItems = new WeakMap();
+    }
+
+    if (this.styleResolver.isZoomDependent && zoom !== this.styledDataZoom) {
+      this.styledItems = new WeakMap();
+    }
+
+    /**
+     * Styled data keeps its identity across zoom changes unless style depends on zoom, so that
+     * geometry is not copied to worker again.
+     */
+    if (
+      this.styledData
+      && data === this.styledDataSource
+      && (!this.styleResolver.isZoomDependent || zoom === this.styledDataZoom)
+    ) {
+      return this.styledData;
+    }
+
+    /**
+     * Styled items are memorised by data item identity, so that unchanged items keep their
+     * identity, and their projection is memorised too.
+     */
+    this.styledData = data.map((item) => {
+      let styledItem = this.styledItems.get(item);
+
+      if (styledItem === void 0) {
+        styledItem = {
+          ...this.styleResolver(item, zoom),
+          ...item,
+        };
+        this.styledItems.set(item, styledItem);
+      }
+
+      return styledItem;
+    });
+    this.styledDataSource = data;
+    this.styledDataZoom = zoom;
+
+    return this.styledData;
+  }
+
+  /**
+   * Return lng lat bounding box of map container, extended by culling margin in pixel.
+   */
+  getViewportBounds() {
+    const margin = this.cullingMargin;
+    const corners = [
+      [-margin, -margin],
+      [this.width + margin, -margin],
+      [-margin, this.height + margin],
+      [this.width + margin, this.height + margin],
+    ].map((pixel) => {
+      /**
+       * Map may be rotated, therefore bounding box is derived from all four corners.
+       */
+      return this.adapter.unproject(pixel);
+    });
+
+    return getCoordinatesBounds(corners);
+  }
+
+  /**
+   * Return items that are within viewport, so that items far outside map container are neither
+   * transformed nor drawn. Items keep their order.
+   * Spatial index is built for the given items, and is memorised until items change. Item
+   * bounding boxes are memorised by item identity, therefore rebuilding the index after an
+   * incremental update or a playback frame computes them only for items that are new or changed,
+   * such as lines clipped to the time window.
+   */
+  getVisibleItems(items) {
+    if (!this.culling) return items;
+
+    if (items !== this.spatialIndexItems) {
+      const bounds = items.map((item) => {
+        if (!this.itemBounds.has(item)) {
+          this.itemBounds.set(item, this.constructor.getItemBounds(item));
+        }
+
+        return this.itemBounds.get(item);
+      });
+      this.spatialIndex = new GridIndex(bounds);
+      this.spatialIndexItems = items;
+    }
+
+    return this.spatialIndex.search(this.getViewportBounds()).map((index) => items[index]);
+  }
+
+  /**
+   * Return a worker item, which is a copy of workerFields of data item. Worker items are cloned
+   * to worker, therefore they must not contain functions.
+   * Layers whose worker items need more than copying should override this function.
+   */
+  getWorkerItem(item) {
+    const workerItem = {};
+
+    this.constructor.workerFields.forEach((field) => {
+      if (!isNullVoid(item[field])) workerItem[field] = item[field];
+    });
+
+    return workerItem;
+  }
+
+  /**
+   * Return worker items of the given data items. Worker items are memorised until data changes,
+   * so that geometry is copied to worker only once, rather than every pan and zoom.
+   */
+  getWorkerItems(items) {
+    if (items !== this.workerItemsSource) {
+      this.workerItems = items.map((item) => this.getWorkerItem(item));
+      this.workerItemsSource = items;
+    }
+
+    return this.workerItems;
+  }
+
+  /**
+   * Return properties passed to worker renderer config function, apart from canvas, dpr, canvas
+   * size and view state. Worker projects items itself, therefore items are not culled nor
+   * projected.
+   */
+  getWorkerRendererProps() {
+    const data = this.getData();
+
+    return {
+      data,
+      workerItems: this.getWorkerItems(data),
+    };
+  }
+
+  /**
+   * Return offset from world pixel coordinates at the given zoom to canvas coordinates, which is
+   * the difference between map centre in canvas and in world. Return undefined if map is rotated
+   * or pitched, in which case world pixel coordinates cannot be translated to canvas.
+   */
+  getWorldOffset(center, zoom) {
+    if (this.adapter.getPitch() !== 0 || this.adapter.getRotation() !== 0) return void 0;
+
+    const [worldX, worldY] = lngLatToWorld(center[0], center[1], zoom);
+    const [x, y] = this.adapter.project(center);
+
+    return [x - worldX, y - worldY];
+  }
+
+  /**
+   * Propagate click event to parent module if onClick event handler is defined.
+   */
+  handleClick(event) {
+    if (typeof this.onClick === 'function') {
+      this.findByPositionThen(event.pixel, (clickedItems) => {
+        if (clickedItems.length !== 0) {
+          this.onClick(event, clickedItems);
+        }
+      });
+    }
+  }
+
+  /**
+   * Propagate double click event to parent module if onDoubleClick event handler is defined.
+   */
+  handleDoubleClick(event) {
+    if (typeof this.onDoubleClick === 'function') {
+      this.findByPositionThen(event.pixel, (clickedItems) => {
+        if (clickedItems.length !== 0) {
+          this.onDoubleClick(event, clickedItems);
+        }
+      });
+    }
+  }
+
+  /**
+   * Resize canvases to the new device pixel ratio, and render again. The previous image is
+   * scaled to fit while the sharp frame renders.
+   */
+  handleDPRChange(dpr) {
+    if (dpr === this.dpr) return;
+
+    /**
+     * Render in progress is drawn at the previous device pixel ratio, and must not be swapped
+     * onto visible canvas once it is rescaled.
+     */
+    this.abortRender();
+    const tmpCanvas = copyCanvas(this.canvas);
+    this.dpr = dpr;
+    this.canvas.height = this.height * this.dpr;
+    this.canvas.width = this.width * this.dpr;
+    this.ctx.drawImage(tmpCanvas, 0, 0, this.canvas.width, this.canvas.height);
+    this.daemonCanvas.height = this.height * this.dpr;
+    this.daemonCanvas.width = this.width * this.dpr;
+
+    this.scheduleRender();
+  }
+
+  handleDragEnd() {
+    this.isDragging = false;
+
+    /**
+     * Canvas moved in live pan mode leaves blank edges. Render in full once drag ends.
+     */
+    if (this.isLivePanned) {
+      this.isLivePanned = false;
+      this.scheduleRender();
+    }
+  }
+
+  /**
+   * Do not render canvas if map is dragging.
+   */
+  handleDragStart() {
+    this.isDragging = true;
+  }
+
+  /**
+   * In live pan mode, move visible canvas with map while dragging, once per animation frame.
+   * Rendering is still deferred until drag ends.
+   */
+  handleMapMove() {
+    if (!this.livePan || !this.isDragging || !isNullVoid(this.livePanFrameId)) return;
+
+    this.livePanFrameId = window.requestAnimationFrame(() => {
+      this.livePanFrameId = void 0;
+
+      const center = this.adapter.getCenter();
+      /**
+       * Nothing has been rendered yet, or map is zoomed rather than dragged.
+       */
+      if (isNullVoid(this.previousCenter) || this.adapter.getZoom() !== this.previousZoom) return;
+
+      const [nextX, nextY] = this.adapter.project(center);
+      const [previousX, previousY] = this.adapter.project(this.previousCenter);
+      moveCanvas({
+        canvas: this.canvas,
+        deltaX: previousX - nextX,
+        deltaY: previousY - nextY,
+        dpr: this.dpr,
+      });
+      /**
+       * Visible canvas now displays map at the new centre. Drag end render moves it by the rest
+       * of the way only.
+       */
+      this.previousCenter = center;
+      this.isLivePanned = true;
+    });
+  }
+
+  /**
+   * Follow map container size, unless width and height are given explicitly. Map centre stays
+   * at container centre, therefore the previous image is moved by half of the size change while
+   * the resized frame renders.
+   */
+  handleResize() {
+    const previousHeight = this.height;
+    const previousWidth = this.width;
+
+    this.setSize(this.getCanvasSize());
+    if (this.height === previousHeight && this.width === previousWidth) return;
+
+    /**
+     * Render in progress is drawn at the previous size, and must not be swapped onto visible
+     * canvas once it is resized.
+     */
+    this.abortRender();
+    const tmpCanvas = copyCanvas(this.canvas);
+    this.canvas.height = this.height * this.dpr;
+    this.canvas.width = this.width * this.dpr;
+    this.ctx.drawImage(
+      tmpCanvas,
+      ((this.width - previousWidth) / 2) * this.dpr,
+      ((this.height - previousHeight) / 2) * this.dpr,
+    );
+    this.daemonCanvas.height = this.height * this.dpr;
+    this.daemonCanvas.width = this.width * this.dpr;
+
+    this.scheduleRender();
+  }
+
+  /**
+   * Propagate mouse over and mouse out events to parent module.
+   */
+  handleMouseHover(event) {
+    /**
+     * Finding hovering items is a time consuming task. Run the task only if either mouse over
+     * or mouse out event is hooked.
+     */
+    if (typeof this.onMouseOver === 'function' || typeof this.onMouseOut === 'function') {
+      this.findByPositionThen(event.pixel, (items) => {
+        if (items.length > this.hoverItems.length) {
+          /**
+           * An increasing item length is a concrete signal of a mouse over event.
+           */
+          if (typeof this.onMouseOver === 'function') {
+            this.onMouseOver(event, items);
+          }
+        } else if (items.length < this.hoverItems.length) {
+          /**
+           * A dropping item length is a concrete signal of a mouse out event.
+           */
+          if (typeof this.onMouseOut === 'function') {
+            this.onMouseOut(event, items);
+          }
+        } else if (!isEqual(items, this.hoverItems)) {
+          /**
+           * If item length does not change, there could be two reasons:
+           * 1. pointer is not moving out of any items.
+           * 2. pointer is moving to other items however the number of items does not change.
+           * If items pass deep equality check, it means point is not moving out of any items,
+           * fails otherwise.
+           * For scenario two, mouse out event is fired before mouse over event to notify the
+           * hovering item being changed.
+           */
+          if (typeof this.onMouseOut === 'function') {
+            this.onMouseOut(event, items);
+          }
+          if (typeof this.onMouseOver === 'function') {
+            this.onMouseOver(event, items);
+          }
+        }
+
+        this.hoverItems = items;
+      });
+    }
+  }
+
+  /**
+   * Change cursor style if mouse events are being watched.
+   */
+  handleMouseHoverStyle(event) {
+    /**
+     * Finding hovering items is a time consuming task. Run the task only if at least one of mouse
+     * events is hooked.
+     */
+    if (typeof this.onClick === 'function'
+      || typeof this.onDoubleClick === 'function'
+      || typeof this.onMouseOver === 'function'
+      || typeof this.onMouseOut === 'function'
+    ) {
+      this.findByPositionThen(event.pixel, (items) => {
+        /**
+         * Change cursor to pointer if mouse moves on at least one item.
+         */
+        if (this.hoverStyleItems.length === 0 && items.length > 0) {
+          this.adapter.setCursor('pointer');
+        }
+
+        /**
+         * Change cursor to map default style if mouse leaves all items.
+         */
+        if (this.hoverStyleItems.length > 0 && items.length === 0) {
+          this.adapter.setCursor();
+        }
+
+        this.hoverStyleItems = items;
+      });
+    }
+  }
+
+  handleMouseMove(event) {
+    /**
+     * Propagate mouse over and mouse out events to parent module.
+     */
+    this.handleMouseHover(event);
+    /**
+     * Change cursor style if mouse events are being watched.
+     */
+    this.handleMouseHoverStyle(event);
+  }
+
+  /**
+   * Render function will be called every time canvas needs update (such as after drag and zoom).
+   * This internal render function is expected to be called internally only.
+   * User should use render function rather than internal render.
+   */
+  async internalRender() {
+    const getPreviousCenterAndZoom = () => {
+      return {
+        previousCenter: this.previousCenter,
+        previousZoom: this.previousZoom,
+      };
+    };
+
+    const getNextCenterAndZoom = () => {
+      const nextCenter = this.adapter.getCenter();
+      const nextZoom = this.adapter.getZoom();
+
+      return {
+        nextCenter,
+        nextZoom,
+      };
+    };
+
+    const memorisePreviousCenterAndZoom = () => {
+      this.previousCenter = this.adapter.getCenter();
+      this.previousZoom = this.adapter.getZoom();
+    };
+
+    /**
+     * Do not render canvas if map is dragging.
+     */
+    if (this.isDragging) return;
+
+    this.abortRender();
+    const generation = this.renderGeneration;
+    /**
+     * Settles as soon as this render is superseded, so that renderers which never settle a
+     * superseded render do not keep this render pending.
+     */
+    const superseded = new Promise((resolve) => {
+      this.resolveSuperseded = resolve;
+    });
+
+    if (typeof this.onRenderStart === 'function') this.onRenderStart();
+
+    let canvas = this.canvas;
+    /**
+     * Keeping visible canvas frozen, while rendering UI elements at background and display
+     * daemon canvas as soon as it completes prevents unnecessary UI elements flash.
+     * This happens after map drag and zoom, while the initial render draws onto visible canvas.
+     */
+    const { nextCenter, nextZoom } = getNextCenterAndZoom();
+    const { previousCenter, previousZoom } = getPreviousCenterAndZoom();
+    if (nextZoom === previousZoom) {
+      canvas = this.daemonCanvas;
+      /**
+       * Map drag difference in pixel.
+       */
+      const [nextX, nextY] = this.adapter.project(nextCenter);
+      const [previousX, previousY] = this.adapter.project(previousCenter);
+      const deltaX = nextX - previousX;
+      const deltaY = nextY - previousY;
+      /**
+       * Move visible canvas horizontally and vertically.
+       */
+      moveCanvas({
+        canvas: this.canvas,
+        deltaX: -deltaX,
+        deltaY: -deltaY,
+        dpr: this.dpr,
+      });
+    } else if (!isNullVoid(previousZoom)) {
+      canvas = this.daemonCanvas;
+      /**
+       * Previous centre was at canvas centre, and is now projected at the new zoom. Every other
+       * point moves away from it by scale times its distance to canvas centre, therefore the
+       * point that stays where it is, i.e. the pointer map is zoomed around, is derived from
+       * both centres.
+       */
+      const scale = 2 ** (nextZoom - previousZoom);
+      const [previousX, previousY] = this.adapter.project(previousCenter);
+      /**
+       * Scale visible canvas around the zoom origin.
+       */
+      scaleCanvas({
+        canvas: this.canvas,
+        dpr: this.dpr,
+        originX: (previousX - (scale * this.width) / 2) / (1 - scale),
+        originY: (previousY - (scale * this.height) / 2) / (1 - scale),
+        scale,
+      });
+    }
+
+    /**
+     * When rendering at background, user could drag map. Visible canvas should move the previously
+     * moved canvas, rather than background canvas.
+     */
+    memorisePreviousCenterAndZoom();
+
+    /**
+     * Renderer items are valid as long as the view is the same, including rotation and pitch.
+     */
+    const viewState = [
+      ...nextCenter,
+      nextZoom,
+      this.adapter.getRotation(),
+      this.adapter.getPitch(),
+      this.width,
+      this.height,
+    ].join();
+    if (viewState !== this.projectedItemsViewState) {
+      this.resetProjectedItems();
+      this.projectedItemsViewState = viewState;
+    }
+    /**
+     * World pixel coordinates are valid as long as zoom is the same. At the same zoom, pan only
+     * changes world offset.
+     */
+    if (nextZoom !== this.worldCoordinatesZoom) {
+      this.worldCoordinates = new WeakMap();
+      this.worldCoordinatesZoom = nextZoom;
+    }
+    this.worldOffset = this.getWorldOffset(nextCenter, nextZoom);
+
+    /**
+     * Worker cannot render rotated or pitched map. Render in progress of the renderer that is
+     * switched away from must not draw onto canvas.
+     */
+    const renderer = this.isWorkerMode && !isNullVoid(this.worldOffset)
+      ? this.workerRenderer
+      : this.mainRenderer;
+    if (renderer !== this.renderer) {
+      if (typeof this.renderer.cancel === 'function') this.renderer.cancel();
+      this.renderer = renderer;
+    }
+
+    /**
+     * Everytime render function get called, canvas coordinates must get updated to reflect
+     * changes. Worker projects items itself with zoom and world offset.
+     */
+    const rendererProps = this.renderer === this.workerRenderer ? {
+      ...this.getWorkerRendererProps(),
+      worldOffset: this.worldOffset,
+      zoom: nextZoom,
+    } : this.getRendererProps();
+    const progress = {
+      generation,
+      rendered: 0,
+      total: 0,
+    };
+
+    this.renderer.config({
+      canvas,
+      /**
+       * 2drender understands rendered images are displayed on high DPR devices.
+       */
+      dpr: this.dpr,
+      /**
+       * Canvas CSS height.
+       */
+      height: this.height,
+      /**
+       * Canvas CSS width.
+       */
+      width: this.width,
+      ...this.trackRenderProgress(rendererProps, progress),
+    });
+    /**
+     * Call renderer render function to draw items. The render in progress is memorised until
+     * visible canvas is complete, so that exports can wait for it.
+     */
+    const rendering = Promise.race([this.renderer.render(), superseded]);
+    this.pendingRender = rendering;
+    try {
+      await rendering;
+    } catch (error) {
+      /**
+       * A render cancelled by a newer render is not an error.
+       */
+      if (error !== 'Cancelled') throw error;
+    } finally {
+      /**
+       * A render superseded by a newer render leaves the newer render in place.
+       */
+      if (this.pendingRender === rendering) this.pendingRender = void 0;
+    }
+
+    /**
+     * Superseded render is aborted. It resolves when the newer render completes.
+     */
+    if (generation !== this.renderGeneration) {
+      await this.whenRendered();
+      return;
+    }
+
+    /**
+     * Replace visible canvas with completed canvas to prevent UI elements flash.
+     */
+    if (canvas === this.daemonCanvas) {
+      /**
+       * Map may have been panned live while rendering. Completed canvas is moved the same way
+       * visible canvas has been moved.
+       */
+      const [renderedX, renderedY] = this.adapter.project(nextCenter);
+      const [displayedX, displayedY] = this.adapter.project(this.previousCenter);
+      this.canvas.width = this.daemonCanvas.width;
+      this.canvas.height = this.daemonCanvas.height;
+      this.ctx.drawImage(
+        this.daemonCanvas,
+        (renderedX - displayedX) * this.dpr,
+        (renderedY - displayedY) * this.dpr,
+      );
+    }
+
+    /**
+     * Renderers that do not report items one by one complete all at once.
+     */
+    if (typeof this.onRenderProgress === 'function' && progress.rendered < progress.total) {
+      this.onRenderProgress(progress.total, progress.total);
+    }
+    if (typeof this.onRenderComplete === 'function') this.onRenderComplete();
+  }
+
+  /**
+   * Discard everything derived from data, which is called every time data changes.
+   * Layers that memorise data derived state should override this function and call
+   * super.invalidateData.
+   */
+  invalidateData() {
+    this.convertedData = void 0;
+    this.timeFilteredData = void 0;
+    this.styledData = void 0;
+    this.workerItemsSource = void 0;
+    /**
+     * World pixel coordinates of paths and points, memorised by path or coordinates identity.
+     * Coordinates may be mutated in place before data changes.
+     */
+    this.worldCoordinates = new WeakMap();
+  }
+
+  /**
+   * Transform lng lat coordinates to canvas coordinates. Like projectPath, coordinates are
+   * projected to Web Mercator world pixels once per zoom, memorised by coordinates identity, and
+   * translated by world offset. Rotated or pitched map goes through the layer's map adapter.
+   */
+  project(coordinates) {
+    if (isNullVoid(this.worldOffset)) return this.adapter.project(coordinates);
+
+    let worldPoint = this.worldCoordinates.get(coordinates);
+    if (worldPoint === void 0) {
+      let { lng, lat } = coordinates;
+      if (coordinates instanceof Array) {
+        [lng, lat] = coordinates;
+      }
+
+      worldPoint = lngLatToWorld(lng, lat, this.worldCoordinatesZoom);
+      this.worldCoordinates.set(coordinates, worldPoint);
+    }
+
+    const [offsetX, offsetY] = this.worldOffset;
+    return [worldPoint[0] + offsetX, worldPoint[1] + offsetY];
+  }
+
+  /**
+   * Transform a list of lng lat coordinates to canvas coordinates. Coordinates are projected to
+   * Web Mercator world pixels once per zoom, and memorised in a typed array by path identity until
+   * zoom or data changes. Canvas coordinates are world pixel coordinates plus world offset,
+   * therefore renders after pan do not call map adapter again.
+   * Rotated or pitched map falls back to map adapter.
+   */
+  projectPath(path) {
+    if (isNullVoid(this.worldOffset)) {
+      return path.map((coordinates) => this.adapter.project(coordinates));
+    }
+
+    let worldPath = this.worldCoordinates.get(path);
+    if (worldPath === void 0) {
+      worldPath = new Float64Array(path.length * 2);
+      path.forEach((coordinates, index) => {
+        let { lng, lat } = coordinates;
+        if (coordinates instanceof Array) {
+          [lng, lat] = coordinates;
+        }
+
+        const [x, y] = lngLatToWorld(lng, lat, this.worldCoordinatesZoom);
+        worldPath[index * 2] = x;
+        worldPath[index * 2 + 1] = y;
+      });
+      this.worldCoordinates.set(path, worldPath);
+    }
+
+    const [offsetX, offsetY] = this.worldOffset;
+    return path.map((coordinates, index) => {
+      return [worldPath[index * 2] + offsetX, worldPath[index * 2 + 1] + offsetY];
+    });
+  }
+
+  /**
+   * Transform a data item to a renderer item in canvas coordinates.
+   * The returned item is passed to renderer, and is returned by findByPosition function.
+   */
+  projectItem() {
+    throw new Error(`${this.constructor.name} must implement projectItem function.`);
+  }
+
+  /**
+   * Remove items of the given ids, and render in the next animation frame.
+   * Return a promise that resolves when canvas is rendered.
+   */
+  remove(ids) {
+    const removedIds = new Set(ids);
+
+    return this.changeData((data) => {
+      /**
+       * Compact data in place, which is cheaper than creating another array for large dataset.
+       */
+      let length = 0;
+      data.forEach((item) => {
+        if (removedIds.has(item[this.idField])) return;
+
+        data[length] = item;
+        length += 1;
+      });
+      data.length = length;
+      this.itemIndex = void 0;
+    });
+  }
+
+  /**
+   * This is the function user calls to update how canvas looks like.
+   * If configuration properties are not provided, canvas will perform a refresh.
+   * Return a promise that resolves when canvas is rendered. If the render is superseded by a newer
+   * render, the promise resolves when the newer render completes.
+   */
+  render(props) {
+    if (!isNullVoid(props)) {
+      this.config(props);
+    }
+
+    return this.internalRender();
+  }
+
+  /**
+   * Discard memorised renderer items. Layers whose renderer items depend on state other than
+   * data items and view state should call this function once the state changes.
+   */
+  resetProjectedItems() {
+    this.projectedItems = new WeakMap();
+  }
+
+  /**
+   * Render in the next animation frame. Calls within the same frame share a single render.
+   * Return a promise that resolves when canvas is rendered.
+   */
+  scheduleRender() {
+    if (isNullVoid(this.scheduledRender)) {
+      this.scheduledRender = new Promise((resolve) => {
+        window.requestAnimationFrame(() => {
+          this.scheduledRender = void 0;
+          resolve(this.internalRender());
+        });
+      });
+    }
+
+    return this.scheduledRender;
+  }
+
+  /**
+   * Change canvas CSS size. Canvas is resized only if its shape changes.
+   */
+  setSize({ height, width }) {
+    /**
+     * Memorise width and height so that we understand if width or height is updated in lifetime.
+     */
+    if (height !== this.height) {
+      this.height = height;
+      /**
+       * Set CSS value to scale down by dpr value to make image sharp.
+       */
+      this.canvas.style.height = `${height}px`;
+    }
+    if (width !== this.width) {
+      this.width = width;
+      /**
+       * Set CSS value to scale down by dpr value to make image sharp.
+       */
+      this.canvas.style.width = `${width}px`;
+    }
+  }
+
+  /**
+   * Render items up to the given time. Time window starts timeWindow before the given time.
+   * Return a promise that resolves when canvas is rendered.
+   */
+  setTime(time) {
+    return this.setTimeRange(time - this.timeWindow, time);
+  }
+
+  /**
+   * Render items within time range [start, end] only. Pass null to disable time filtering.
+   * Return a promise that resolves when canvas is rendered.
+   */
+  setTimeRange(start, end) {
+    this.timeRange = isNullVoid(start) ? void 0 : [start, end];
+    this.timeFilteredData = void 0;
+
+    return this.internalRender();
+  }
+
+  /**
+   * Return a promise of PNG, or the given image type, Blob of the rendered layer at layer dpr.
+   * Layer is exported once the render in progress has completed.
+   */
+  toBlob(type, quality) {
+    return this.whenRendered().then(() => {
+      return new Promise((resolve) => {
+        this.canvas.toBlob(resolve, type, quality);
+      });
+    });
+  }
+
+  /**
+   * Return a promise of PNG, or the given image type, data URL of the rendered layer at layer
+   * dpr. Layer is exported once the render in progress has completed.
+   */
+  toDataURL(type, quality) {
+    return this.whenRendered().then(() => this.canvas.toDataURL(type, quality));
+  }
+
+  /**
+   * Call onRenderProgress with the number of rendered items and the number of all items, once
+   * render starts, and every time an item renders, which is counted by wrapping
+   * getSnapshotBeforeRender. Items of a superseded render are no longer reported.
+   * Return renderer props with the wrapped getSnapshotBeforeRender.
+   */
+  trackRenderProgress(rendererProps, progress) {
+    const { data = [], getSnapshotBeforeRender } = rendererProps;
+
+    if (typeof this.onRenderProgress !== 'function') return rendererProps;
+
+    progress.total = data.length;
+    this.onRenderProgress(0, progress.total);
+
+    if (typeof getSnapshotBeforeRender !== 'function') return rendererProps;
+
+    return {
+      ...rendererProps,
+      getSnapshotBeforeRender: (item) => {
+        const snapshot = getSnapshotBeforeRender(item);
+
+        if (progress.generation === this.renderGeneration) {
+          progress.rendered += 1;
+          this.onRenderProgress(progress.rendered, progress.total);
+        }
+
+        return snapshot;
+      },
+    };
+  }
+
+  /**
+   * Merge patch into the item of the given id, and render in the next animation frame.
+   * The item is replaced by a new object rather than mutated. Unknown id is ignored.
+   * Return a promise that resolves when canvas is rendered.
+   */
+  update(id, patch) {
+    const index = this.getItemIndex().get(id);
+
+    if (isNullVoid(index)) return Promise.resolve();
+
+    return this.changeData((data) => {
+      data[index] = {
+        ...data[index],
+        ...patch,
+      };
+    });
+  }
+
+  /**
+   * Return a promise that resolves when visible canvas is complete, which is after scheduled
+   * renders and the render in progress. Renders superseded while waiting are waited for too.
+   */
+  whenRendered() {
+    const pendingRender = this.scheduledRender || this.pendingRender;
+
+    if (isNullVoid(pendingRender)) return Promise.resolve();
+
+    return pendingRender.catch(() => {
+      /**
+       * A render cancelled by a newer render is not an error.
+       */
+    }).then(() => this.whenRendered());
+  }
+}
+
+/**
+ * Item properties that hold lng lat coordinates, which are converted to GCJ-02 if items are in
+ * another coordinate system. Layers whose items have other shapes should override this static
+ * property.
+ */
+BaseLayer.coordinateFields = ['location'];
+
+/**
+ * Transform items right before each of them renders, rather than all items before render.
+ * Renderer must support getSnapshotBeforeRender.
+ */
+BaseLayer.deferProjection = false;
+
+BaseLayer.propTypes = {
+  /**
+   * Map adapter that layer reaches map provider through. See AMapAdapter for the interface.
+   * Default AMap adapter of map.
+   */
+  adapter: PropTypes.shape({
+    getCenter: PropTypes.func.isRequired,
+    getPitch: PropTypes.func.isRequired,
+    getRotation: PropTypes.func.isRequired,
+    getSize: PropTypes.func.isRequired,
+    getZoom: PropTypes.func.isRequired,
+    mount: PropTypes.func.isRequired,
+    off: PropTypes.func.isRequired,
+    on: PropTypes.func.isRequired,
+    project: PropTypes.func.isRequired,
+    setCursor: PropTypes.func.isRequired,
+    unproject: PropTypes.func.isRequired,
+    watchSize: PropTypes.func,
+  }),
+  /**
+   * Coordinate system of item coordinates, which is converted to GCJ-02 before projection.
+   * Either 'gcj02', 'wgs84' (GPS) or 'bd09' (Baidu Maps). Items may override it by their own
+   * coordinateSystem property. Callbacks receive items in GCJ-02 coordinates.
+   * Default 'gcj02'.
+   */
+  coordinateSystem: PropTypes.oneOf(['bd09', 'gcj02', 'wgs84']),
+  /**
+   * Render only items within map container and culling margin. Items are looked up in a
+   * spatial index by their lng lat bounding boxes, therefore items far outside map container are
+   * neither transformed nor drawn.
+   * Default true.
+   */
+  culling: PropTypes.bool,
+  /**
+   * Distance in pixel beyond map container, within which items are still rendered. It must be
+   * large enough for icons, texts and line widths that stretch beyond item bounding boxes.
+   * Default 100.
+   */
+  cullingMargin: PropTypes.number,
+  /**
+   * A list of items. Item shape is defined by each layer.
+   */
+  data: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Canvas height. Canvas follows map container height if height is not given.
+   * Default map container height.
+   */
+  height: PropTypes.number,
+  /**
+   * Item property that identifies an item, which is used by add, get, remove and update
+   * functions. Ids are expected to be unique. Items without id are not indexed.
+   * Default id.
+   */
+  idField: PropTypes.string,
+  /**
+   * Move canvas with map on every mapmove event while dragging, rather than leaving it to map
+   * provider. Enable it if layer lags behind or detaches from base map during drag, which
+   * happens with some AMap versions and on touch devices. Layer is still rendered once drag ends.
+   * Standalone adapter moves canvases during drag itself, and does not need it.
+   * Default false.
+   */
+  livePan: PropTypes.bool,
+  /**
+   * AMap instance. Required unless adapter is given.
+   */
+  map: PropTypes.object,
+  /**
+   * Callback fired when at least an item is clicked.
+   * Signature:
+   * (event, items) => void
+   * event: Map event given by map adapter, i.e. AMap MapsEvent object.
+   * items: A list of items that is clicked. Items with the earlier position in the data array
+   * are positioned later in the click callback. This is because items appear later in the data
+   * array are drawn later and has a higher priority when clicked.
+   */
+  onClick: PropTypes.func,
+  /**
+   * Double click event fired immediately after click event.
+   * Signature:
+   * (event, items) => void
+   * event: Map event given by map adapter, i.e. AMap MapsEvent object.
+   * items: A list of items that is clicked. Items with the earlier position in the data array
+   * are positioned later in the click callback. This is because items appear later in the data
+   * array are drawn later and has a higher priority when clicked.
+   */
+  onDoubleClick: PropTypes.func,
+  /**
+   * Callback fired when pointer leaves the element or one of its child elements (even if
+   * the pointer is still within the element).
+   * Signature:
+   * (event, items) => void
+   * event: Map event given by map adapter, i.e. AMap MapsEvent object.
+   * items: A list of items that pointer overs. Items with the earlier position in the data
+   * array are positioned later in the mouse over callback. This is because items appear later
+   * in the data array are drawn later and has a higher priority when mouse over.
+   */
+  onMouseOut: PropTypes.func,
+  /**
+   * Callback fired when pointer moves onto the element or one of its child elements (even if
+   * the pointer is still within the element).
+   * Signature:
+   * (event, items) => void
+   * event: Map event given by map adapter, i.e. AMap MapsEvent object.
+   * items: A list of items that pointer overs. Items with the earlier position in the data
+   * array are positioned later in the mouse over callback. This is because items appear later
+   * in the data array are drawn later and has a higher priority when mouse over.
+   */
+  onMouseOver: PropTypes.func,
+  /**
+   * Callback fired when a render completes and canvas displays the new frame. Renders superseded
+   * by newer renders do not complete.
+   * Signature:
+   * () => void
+   */
+  onRenderComplete: PropTypes.func,
+  /**
+   * Callback fired when a render starts, every time an item is drawn, and when a render
+   * completes. Layers whose renderer draws all items at once, i.e. Grid, Marker, Text and worker
+   * mode, report start and completion only. Renders superseded by newer renders stop reporting.
+   * Signature:
+   * (rendered, total) => void
+   * rendered: Number of items drawn so far.
+   * total: Number of items to draw.
+   */
+  onRenderProgress: PropTypes.func,
+  /**
+   * Callback fired when a render starts. It is not fired while map is dragging, because
+   * rendering is deferred until drag ends.
+   * Signature:
+   * () => void
+   */
+  onRenderStart: PropTypes.func,
+  /**
+   * Custom layer opacity.
+   * Default 1.
+   */
+  opacity: PropTypes.number,
+  /**
+   * Data-driven style, keyed by item property name, i.e. color, width, fontSize or icon.
+   * Style is resolved for every item at render time, therefore restyling does not require
+   * remapping data. Properties defined on item have higher priority over style.
+   * Each style property is one of:
+   * 1. A constant, which is a string, number, boolean, array or object without type. i.e. 'red'
+   * 2. A function of signature (item, zoom) => value.
+   * 3. { type: 'linear', field, domain, range }: Interpolate numbers or colours through range
+   * stops, which are evenly spread over domain. i.e. { type: 'linear', field: 'speed',
+   * range: ['green', 'yellow', 'red'] }
+   * 4. { type: 'quantize', field, domain, range }: Divide domain into equal intervals, each of
+   * which maps to a range value.
+   * 5. { type: 'quantile', field, range }: Divide items into groups of equal size by field value,
+   * each of which maps to a range value.
+   * 6. { type: 'categorical', field, categories, default }: Look up field value in categories.
+   * i.e. { type: 'categorical', field: 'status', categories: { idle: 'grey', busy: 'red' } }
+   * 7. { type: 'zoom', stops }: Interpolate numbers or colours between [zoom, value] stops.
+   * i.e. { type: 'zoom', stops: [[10, 1], [16, 6]] }
+   * Field is an item property name or path, i.e. 'properties.speed'. Domain defaults to the
+   * minimum and maximum field values in dataset. Scales resolve to default, or renderer default
+   * if default is not given, for items without a valid field value.
+   */
+  style: PropTypes.objectOf(PropTypes.oneOfType([
+    PropTypes.func,
+    PropTypes.shape({
+      categories: PropTypes.object,
+      default: PropTypes.any,
+      domain: PropTypes.arrayOf(PropTypes.number),
+      field: PropTypes.string,
+      range: PropTypes.array,
+      stops: PropTypes.array,
+      type: PropTypes.oneOf(['categorical', 'linear', 'quantile', 'quantize', 'zoom']).isRequired,
+    }),
+    PropTypes.array,
+    PropTypes.bool,
+    PropTypes.number,
+    /**
+     * Constant object, i.e. arrow options of line.
+     */
+    PropTypes.object,
+    PropTypes.string,
+  ])),
+  /**
+   * Length of time window that ends at the time given to setTime, in the same unit as item
+   * timestamps.
+   * Default Infinity, which renders all items up to the given time.
+   */
+  timeWindow: PropTypes.number,
+  /**
+   * Canvas width. Canvas follows map container width if width is not given.
+   * Default map container width.
+   */
+  width: PropTypes.number,
+  /**
+   * Project and draw items in a Web Worker onto an OffscreenCanvas, so that large datasets do not
+   * block user input. Worker mode is supported by Grid and Line layers in browsers with
+   * OffscreenCanvas, and falls back to main thread otherwise. Rotated or pitched map is rendered
+   * on main thread too. In worker mode, items are not culled, findByPosition returns a promise,
+   * and line arrows are not drawn.
+   * It cannot be changed during lifetime.
+   * Default false.
+   */
+  worker: PropTypes.bool,
+  /**
+   * Custom layer zIndex.
+   * Default 12.
+   */
+  zIndex: PropTypes.number,
+  /**
+   * Custom layer visible zoom ranges.
+   * Default [3, 18]
+   */
+  zooms: PropTypes.arrayOf(PropTypes.number),
+};
+
+export default BaseLayer;
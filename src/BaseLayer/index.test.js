@@ -0,0 +1,344 @@
+import BaseLayer from '.';
+import StandaloneAdapter from '../adapters/Standalone';
+
+/**
+ * Renderer whose renders draw items and settle only when the test tells them to. Like 2drender
+ * scheduler, a render superseded by a newer render never settles.
+ */
+class PendingRenderer {
+  constructor() {
+    this.data = [];
+    this.renders = [];
+  }
+
+  config({ data = [], getSnapshotBeforeRender }) {
+    this.data = data;
+    this.getSnapshotBeforeRender = getSnapshotBeforeRender;
+  }
+
+  /**
+   * Draw the next count items of the render at the given index, the latest render by default.
+   */
+  drawItems(count, index = this.renders.length - 1) {
+    const render = this.renders[index];
+
+    render.data.slice(render.drawn, render.drawn + count).forEach((item) => {
+      if (render.getSnapshotBeforeRender) render.getSnapshotBeforeRender(item);
+    });
+    render.drawn += count;
+  }
+
+  render() {
+    return new Promise((resolve) => {
+      this.renders.push({
+        data: this.data,
+        drawn: 0,
+        getSnapshotBeforeRender: this.getSnapshotBeforeRender,
+        resolve,
+      });
+    });
+  }
+
+  resolveLatest() {
+    this.renders[this.renders.length - 1].resolve();
+  }
+}
+
+class PendingLayer extends BaseLayer {
+  projectItem({ location }) {
+    return {
+      position: this.project(location),
+    };
+  }
+}
+
+PendingLayer.Renderer = PendingRenderer;
+
+class DeferredPendingLayer extends PendingLayer {}
+
+DeferredPendingLayer.deferProjection = true;
+
+/**
+ * Let pending promise callbacks run.
+ */
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('BaseLayer render supersession', () => {
+  let adapter;
+
+  beforeEach(() => {
+    /**
+     * jsdom does not implement canvas.
+     */
+    jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+      drawImage: jest.fn(),
+      scale: jest.fn(),
+    });
+    adapter = new StandaloneAdapter({ height: 100, width: 100 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('settles a superseded render once the newer render completes', async () => {
+    const onRenderComplete = jest.fn();
+    const layer = new PendingLayer({ adapter, onRenderComplete });
+    let isFirstSettled = false;
+
+    const first = layer.render().then(() => {
+      isFirstSettled = true;
+    });
+    const second = layer.render();
+    await flushPromises();
+    expect(isFirstSettled).toBe(false);
+
+    layer.renderer.resolveLatest();
+    await Promise.all([first, second]);
+    expect(onRenderComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it('resolves whenRendered after the latest render only', async () => {
+    const layer = new PendingLayer({ adapter });
+    let isRendered = false;
+
+    layer.render();
+    layer.whenRendered().then(() => {
+      isRendered = true;
+    });
+    layer.render();
+    await flushPromises();
+    expect(isRendered).toBe(false);
+
+    layer.renderer.resolveLatest();
+    await flushPromises();
+    expect(isRendered).toBe(true);
+  });
+
+  it('settles render in progress once layer is destroyed', async () => {
+    const onRenderComplete = jest.fn();
+    const layer = new PendingLayer({ adapter, onRenderComplete });
+
+    const rendering = layer.render();
+    layer.destroy();
+    await rendering;
+    expect(onRenderComplete).not.toHaveBeenCalled();
+  });
+});
+
+describe('BaseLayer render progress', () => {
+  const data = [{ location: [0, 0] }, { location: [1, 1] }, { location: [2, 2] }];
+  let adapter;
+
+  beforeEach(() => {
+    jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+      drawImage: jest.fn(),
+      scale: jest.fn(),
+    });
+    adapter = new StandaloneAdapter({ height: 100, width: 100 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports every item drawn by renderers that take snapshots', async () => {
+    const onRenderProgress = jest.fn();
+    const layer = new DeferredPendingLayer({ adapter, data, onRenderProgress });
+    onRenderProgress.mockClear();
+
+    const rendering = layer.render();
+    layer.renderer.drawItems(2);
+    expect(onRenderProgress.mock.calls).toEqual([[0, 3], [1, 3], [2, 3]]);
+
+    layer.renderer.drawItems(1);
+    layer.renderer.resolveLatest();
+    await rendering;
+    expect(onRenderProgress.mock.calls).toEqual([[0, 3], [1, 3], [2, 3], [3, 3]]);
+  });
+
+  it('reports start and completion of renderers that draw all items at once', async () => {
+    const onRenderProgress = jest.fn();
+    const layer = new PendingLayer({ adapter, data, onRenderProgress });
+    onRenderProgress.mockClear();
+
+    const rendering = layer.render();
+    layer.renderer.resolveLatest();
+    await rendering;
+    expect(onRenderProgress.mock.calls).toEqual([[0, 3], [3, 3]]);
+  });
+
+  it('stops reporting a superseded render', async () => {
+    const onRenderProgress = jest.fn();
+    const layer = new DeferredPendingLayer({ adapter, data, onRenderProgress });
+
+    const first = layer.render();
+    const firstIndex = layer.renderer.renders.length - 1;
+    const second = layer.render();
+    onRenderProgress.mockClear();
+
+    layer.renderer.drawItems(3, firstIndex);
+    expect(onRenderProgress).not.toHaveBeenCalled();
+
+    layer.renderer.drawItems(3);
+    layer.renderer.resolveLatest();
+    await Promise.all([first, second]);
+    expect(onRenderProgress.mock.calls).toEqual([[1, 3], [2, 3], [3, 3]]);
+  });
+});
+
+describe('BaseLayer data by id', () => {
+  let adapter;
+
+  beforeEach(() => {
+    jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+      drawImage: jest.fn(),
+      scale: jest.fn(),
+    });
+    adapter = new StandaloneAdapter({ height: 100, width: 100 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gets, adds, updates and removes items by id', () => {
+    const data = [{ id: 'a', location: [0, 0] }, { id: 'b', location: [1, 1] }];
+    const layer = new PendingLayer({ adapter, data });
+
+    layer.add([{ id: 'c', location: [2, 2] }]);
+    layer.update('a', { location: [3, 3] });
+    layer.remove(['b']);
+
+    expect(layer.get('a')).toEqual({ id: 'a', location: [3, 3] });
+    expect(layer.get('b')).toBeUndefined();
+    expect(layer.get('c')).toEqual({ id: 'c', location: [2, 2] });
+    expect(layer.data.map(({ id }) => id)).toEqual(['a', 'c']);
+    /**
+     * Data given by user is not mutated.
+     */
+    expect(data).toEqual([{ id: 'a', location: [0, 0] }, { id: 'b', location: [1, 1] }]);
+  });
+
+  it('finds items by the given id field', () => {
+    const layer = new PendingLayer({
+      adapter,
+      data: [{ key: 1, location: [0, 0] }],
+      idField: 'key',
+    });
+
+    layer.update(1, { location: [1, 1] });
+    expect(layer.get(1)).toEqual({ key: 1, location: [1, 1] });
+  });
+
+  it('does not index items without id', () => {
+    const layer = new PendingLayer({ adapter, data: [{ id: 'a', location: [0, 0] }] });
+
+    layer.add([{ location: [1, 1] }, { location: [2, 2] }]);
+    layer.update(void 0, { location: [3, 3] });
+
+    expect(layer.get(void 0)).toBeUndefined();
+    expect(layer.data).toEqual([
+      { id: 'a', location: [0, 0] },
+      { location: [1, 1] },
+      { location: [2, 2] },
+    ]);
+  });
+
+  it('ignores unknown ids', () => {
+    const layer = new PendingLayer({ adapter, data: [{ id: 'a', location: [0, 0] }] });
+
+    layer.update('z', { location: [1, 1] });
+    layer.remove(['z']);
+    expect(layer.data).toEqual([{ id: 'a', location: [0, 0] }]);
+  });
+
+  it('projects items again once map rotates at the same centre and zoom', () => {
+    const layer = new PendingLayer({ adapter, data: [{ id: 'a', location: [0, 0] }] });
+    const projectItem = jest.spyOn(layer, 'projectItem');
+
+    layer.render();
+    expect(projectItem).not.toHaveBeenCalled();
+
+    adapter.rotation = 30;
+    layer.render();
+    expect(projectItem).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('BaseLayer projection', () => {
+  const path = [[120.01, 30.02], { lat: 29.99, lng: 119.98 }, [120.2, 29.8]];
+  let adapter;
+
+  /**
+   * Expect canvas coordinates to match map adapter projection of path.
+   */
+  const expectAdapterProjection = (points) => {
+    points.forEach(([x, y], index) => {
+      const [expectedX, expectedY] = adapter.project(path[index]);
+
+      expect(x).toBeCloseTo(expectedX, 6);
+      expect(y).toBeCloseTo(expectedY, 6);
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+      drawImage: jest.fn(),
+      scale: jest.fn(),
+    });
+    adapter = new StandaloneAdapter({ center: [120, 30], height: 300, width: 400, zoom: 10.5 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('projects paths and points the same way as map adapter', () => {
+    const layer = new PendingLayer({ adapter });
+    layer.render();
+
+    expectAdapterProjection(layer.projectPath(path));
+    expectAdapterProjection(path.map((coordinates) => layer.project(coordinates)));
+  });
+
+  it('projects memorised world pixel coordinates by the new offset after pan', () => {
+    const layer = new PendingLayer({ adapter });
+    layer.render();
+    layer.projectPath(path);
+    path.forEach((coordinates) => layer.project(coordinates));
+
+    adapter.setView({ center: [120.05, 30.03] });
+    layer.render();
+    const project = jest.spyOn(adapter, 'project');
+    const projectedPath = layer.projectPath(path);
+    const projectedPoints = path.map((coordinates) => layer.project(coordinates));
+    expect(project).not.toHaveBeenCalled();
+    project.mockRestore();
+
+    expectAdapterProjection(projectedPath);
+    expectAdapterProjection(projectedPoints);
+  });
+
+  it('forgets world pixel coordinates once data changes', () => {
+    const location = [120.01, 30.02];
+    const layer = new PendingLayer({ adapter, data: [{ id: 'a', location }] });
+    layer.render();
+    layer.project(location);
+
+    location[0] = 120.02;
+    layer.update('a', { location });
+    const [x] = layer.project(location);
+    expect(x).toBeCloseTo(adapter.project(location)[0], 6);
+  });
+
+  it('projects through map adapter once map rotates', () => {
+    const layer = new PendingLayer({ adapter });
+    adapter.rotation = 30;
+    layer.render();
+
+    expect(layer.projectPath(path))
+      .toEqual(path.map((coordinates) => adapter.project(coordinates)));
+    expect(layer.project(path[0])).toEqual(adapter.project(path[0]));
+  });
+});
@@ -0,0 +1,139 @@
+import PropTypes from 'prop-types';
+import BaseLayer from '../BaseLayer';
+import CanvasCircle from '../renderers/Circle';
+import { METERS_PER_DEGREE } from '../utils/constants';
+import getCoordinatesBounds from '../utils/getCoordinatesBounds';
+import isNullVoid from '../utils/isNullVoid';
+
+class Circle extends BaseLayer {
+  /**
+   * Bounding box of a metre radius circle covers the whole circle. Pixel radius circle is
+   * treated as a point, whose radius is covered by culling margin.
+   */
+  static getItemBounds(circle) {
+    const {
+      location,
+      position,
+      radius,
+      radiusUnit = 'meter',
+    } = circle;
+
+    if (radiusUnit !== 'meter' || !isNullVoid(position)) {
+      return BaseLayer.getItemBounds(circle);
+    }
+
+    const [lng, lat] = location;
+    const deltaLat = radius / METERS_PER_DEGREE;
+    const deltaLng = deltaLat / Math.cos((lat * Math.PI) / 180);
+
+    return getCoordinatesBounds([
+      [lng - deltaLng, lat - deltaLat],
+      [lng + deltaLng, lat + deltaLat],
+    ]);
+  }
+
+  /**
+   * Transform lng lat coordinates to canvas coordinates, and radius in metres to radius in pixels.
+   */
+  projectItem({
+    borderColor,
+    borderWidth,
+    color,
+    location,
+    opacity,
+    position,
+    radius,
+    radiusUnit = 'meter',
+  }) {
+    /**
+     * Position has higher priority over location. If position is not defined, position is
+     * derived from location.
+     */
+    const internalPosition = position || this.project(location);
+    let internalRadius = radius;
+
+    /**
+     * Metre radius is projected the same way as location: a point radius metres due north of the
+     * location is transformed to canvas coordinates, and the pixel distance between the two
+     * points is the radius on screen. Map projection is conformal, therefore the circle remains
+     * round.
+     */
+    if (radiusUnit === 'meter' && location) {
+      const [lng, lat] = location;
+      const [x, y] = this.project([lng, lat]);
+      const [northX, northY] = this.project([lng, lat + radius / METERS_PER_DEGREE]);
+      internalRadius = Math.sqrt((northX - x) ** 2 + (northY - y) ** 2);
+    }
+
+    return {
+      borderColor,
+      borderWidth,
+      color,
+      opacity,
+      position: internalPosition,
+      radius: internalRadius,
+    };
+  }
+}
+
+/**
+ * Canvas component that draws circles.
+ */
+Circle.Renderer = CanvasCircle;
+
+/**
+ * Renderer projects items right before each of them renders.
+ */
+Circle.deferProjection = true;
+
+Circle.propTypes = {
+  ...BaseLayer.propTypes,
+  /**
+   * A list of circles.
+   */
+  data: PropTypes.arrayOf(PropTypes.shape({
+    /**
+     * Circle border colour.
+     * Default no border.
+     */
+    borderColor: PropTypes.string,
+    /**
+     * Circle border width.
+     * Default 1.
+     */
+    borderWidth: PropTypes.number,
+    /**
+     * Circle fill colour.
+     * Default black.
+     */
+    color: PropTypes.string,
+    /**
+     * Circle centre lng lat location. i.e. [lng, lat].
+     * Circle position is derived from location.
+     * It has lower priority if both location and position are defined.
+     * Location is required if radius unit is meter.
+     */
+    location: PropTypes.arrayOf(PropTypes.number),
+    /**
+     * Circle opacity, applied to both fill and border.
+     * Default 1.
+     */
+    opacity: PropTypes.number,
+    /**
+     * Circle centre in canvas cartesian coordinate system. i.e. [x, y].
+     * It has higher priority if both location and position are defined.
+     */
+    position: PropTypes.arrayOf(PropTypes.number),
+    /**
+     * Circle radius in the unit of radiusUnit.
+     */
+    radius: PropTypes.number.isRequired,
+    /**
+     * Radius unit. Meter radius scales with zoom, pixel radius remains the same size on screen.
+     * Default meter.
+     */
+    radiusUnit: PropTypes.oneOf(['meter', 'pixel']),
+  })),
+};
+
+export default Circle;
@@ -0,0 +1,288 @@
+import PropTypes from 'prop-types';
+import Circle from '../Circle';
+import Line from '../Line';
+import Marker from '../Marker';
+import Polygon from '../Polygon';
+import exportLayers from '../utils/exportLayers';
+import fromGeoJSON from '../utils/fromGeoJSON';
+import isNullVoid from '../utils/isNullVoid';
+
+/**
+ * GeoJSONLayer draws GeoJSON by sending each geometry type to the layer that draws it:
+ * 1. Polygon and MultiPolygon are drawn by Polygon layer.
+ * 2. LineString and MultiLineString are drawn by Line layer.
+ * 3. Point and MultiPoint are drawn by Marker layer if marker options are given, or by Circle
+ * layer in pixel radius otherwise.
+ * Sub-layers are stacked in the above order, and are created only once there is something to
+ * draw. Feature properties are passed to items, therefore they come back in callbacks as
+ * item.properties, and can be used by style as fields, i.e. 'properties.speed'.
+ */
+class GeoJSONLayer {
+  constructor(props) {
+    const { adapter, map } = props;
+
+    /**
+     * Map instance and map adapter cannot be changed during lifetime, therefore, they are not
+     * memorised by config function.
+     */
+    this.adapter = adapter;
+    this.map = map;
+    /**
+     * Sub-layers keyed by name, which is either polygon, line, circle or marker.
+     */
+    this.layers = {};
+    /**
+     * Memorise properties that can be changed during lifetime.
+     */
+    this.config(props);
+  }
+
+  /**
+   * Convert GeoJSON to items, and configure sub-layers with their items and options.
+   */
+  config(props) {
+    const {
+      circle = {},
+      data,
+      line = {},
+      marker,
+      polygon = {},
+      style,
+      zIndex = 12,
+      ...sharedProps
+    } = props;
+    const { lines, points, polygons } = fromGeoJSON(data);
+    const layerProps = {
+      circle: {
+        ...circle,
+        data: isNullVoid(marker) ? points : [],
+        /**
+         * GeoJSON points have no size. Points are drawn as dots that keep the same size on screen.
+         */
+        style: {
+          radius: 4,
+          radiusUnit: 'pixel',
+          ...style,
+          ...circle.style,
+        },
+      },
+      line: {
+        ...line,
+        data: lines,
+        style: {
+          ...style,
+          ...line.style,
+        },
+      },
+      marker: {
+        ...marker,
+        data: isNullVoid(marker) ? [] : points,
+        style: {
+          ...style,
+          ...(isNullVoid(marker) ? {} : marker.style),
+        },
+      },
+      polygon: {
+        ...polygon,
+        data: polygons,
+        style: {
+          ...style,
+          ...polygon.style,
+        },
+      },
+    };
+
+    Object.keys(GeoJSONLayer.layerClasses).forEach((name, index) => {
+      const subLayerProps = {
+        ...sharedProps,
+        ...layerProps[name],
+        adapter: this.adapter,
+        map: this.map,
+        zIndex: zIndex + index,
+      };
+
+      if (!isNullVoid(this.layers[name])) {
+        this.layers[name].config(subLayerProps);
+      } else if (subLayerProps.data.length !== 0) {
+        const LayerClass = GeoJSONLayer.layerClasses[name];
+        this.layers[name] = new LayerClass(subLayerProps);
+      }
+    });
+  }
+
+  /**
+   * Remove all sub-layers.
+   */
+  destroy() {
+    this.getLayers().forEach((layer) => layer.destroy());
+    this.layers = {};
+  }
+
+  /**
+   * Return a list of sub-layers, in stacking order from bottom to top.
+   */
+  getLayers() {
+    return Object.keys(GeoJSONLayer.layerClasses)
+      .filter((name) => !isNullVoid(this.layers[name]))
+      .map((name) => this.layers[name]);
+  }
+
+  /**
+   * Update GeoJSON or options and render all sub-layers.
+   * If configuration properties are not provided, canvas will perform a refresh.
+   * Return a promise that resolves when all sub-layers are rendered.
+   */
+  render(props) {
+    if (!isNullVoid(props)) {
+      this.config(props);
+    }
+
+    return Promise.all(this.getLayers().map((layer) => layer.render()));
+  }
+
+  /**
+   * Render items up to the given time on all sub-layers, so that GeoJSONLayer can be driven by
+   * Playback. Return a promise that resolves when all sub-layers are rendered.
+   */
+  setTime(time) {
+    return Promise.all(this.getLayers().map((layer) => layer.setTime(time)));
+  }
+
+  /**
+   * Render items within time range [start, end] only on all sub-layers.
+   * Return a promise that resolves when all sub-layers are rendered.
+   */
+  setTimeRange(start, end) {
+    return Promise.all(this.getLayers().map((layer) => layer.setTimeRange(start, end)));
+  }
+
+  /**
+   * Return a promise of PNG, or the given image type, Blob of all sub-layers composited.
+   */
+  toBlob(type, quality) {
+    return exportLayers(this.getLayers()).then((canvas) => {
+      return new Promise((resolve) => {
+        canvas.toBlob(resolve, type, quality);
+      });
+    });
+  }
+
+  /**
+   * Return a promise of PNG, or the given image type, data URL of all sub-layers composited.
+   */
+  toDataURL(type, quality) {
+    return exportLayers(this.getLayers()).then((canvas) => canvas.toDataURL(type, quality));
+  }
+
+  /**
+   * Return a promise that resolves when all sub-layers are rendered.
+   */
+  whenRendered() {
+    return Promise.all(this.getLayers().map((layer) => layer.whenRendered()));
+  }
+}
+
+/**
+ * Sub-layer classes, in stacking order from bottom to top.
+ */
+GeoJSONLayer.layerClasses = {
+  polygon: Polygon,
+  line: Line,
+  circle: Circle,
+  marker: Marker,
+};
+
+GeoJSONLayer.propTypes = {
+  /**
+   * Map adapter shared by all sub-layers.
+   * Default AMap adapter of map.
+   */
+  adapter: PropTypes.object,
+  /**
+   * Circle layer options, i.e. style, for points if marker options are not given.
+   * Default style is { radius: 4, radiusUnit: 'pixel' }.
+   */
+  circle: PropTypes.object,
+  /**
+   * GeoJSON object, which is either a FeatureCollection, a Feature, or a bare geometry.
+   * Supports Point, MultiPoint, LineString, MultiLineString, Polygon, MultiPolygon and
+   * GeometryCollection.
+   */
+  data: PropTypes.shape({
+    type: PropTypes.string.isRequired,
+  }),
+  /**
+   * Canvas height. Canvas follows map container height if height is not given.
+   * Default map container height.
+   */
+  height: PropTypes.number,
+  /**
+   * Line layer options, i.e. colorScale and style.
+   */
+  line: PropTypes.object,
+  /**
+   * AMap instance. Required unless adapter is given.
+   */
+  map: PropTypes.object,
+  /**
+   * Marker layer options. If given, points are drawn as markers. Icon, width and height are
+   * usually given by style. i.e. { style: { icon, height: 24, width: 24 } }
+   */
+  marker: PropTypes.object,
+  /**
+   * Callback fired when at least an item is clicked. Items carry featureId, id and properties.
+   * Each sub-layer fires its own callback.
+   * Signature:
+   * (event, items) => void
+   */
+  onClick: PropTypes.func,
+  /**
+   * Double click event fired immediately after click event.
+   * Signature:
+   * (event, items) => void
+   */
+  onDoubleClick: PropTypes.func,
+  /**
+   * Callback fired when pointer leaves items.
+   * Signature:
+   * (event, items) => void
+   */
+  onMouseOut: PropTypes.func,
+  /**
+   * Callback fired when pointer moves onto items.
+   * Signature:
+   * (event, items) => void
+   */
+  onMouseOver: PropTypes.func,
+  /**
+   * Custom layer opacity, applied to all sub-layers.
+   * Default 1.
+   */
+  opacity: PropTypes.number,
+  /**
+   * Polygon layer options, i.e. style.
+   */
+  polygon: PropTypes.object,
+  /**
+   * Style shared by all sub-layers, i.e. { opacity: 0.8 }. Style properties given by circle, line,
+   * marker or polygon options take precedence.
+   */
+  style: PropTypes.object,
+  /**
+   * Canvas width. Canvas follows map container width if width is not given.
+   * Default map container width.
+   */
+  width: PropTypes.number,
+  /**
+   * zIndex of the bottom sub-layer. Sub-layers above take the following zIndexes.
+   * Default 12.
+   */
+  zIndex: PropTypes.number,
+  /**
+   * Custom layer visible zoom ranges.
+   * Default [3, 18]
+   */
+  zooms: PropTypes.arrayOf(PropTypes.number),
+};
+
+export default GeoJSONLayer;
@@ -0,0 +1,72 @@
+import GeoJSONLayer from '.';
+import StandaloneAdapter from '../adapters/Standalone';
+
+/**
+ * Sub-layer that memorises its props.
+ */
+class StubLayer {
+  constructor(props) {
+    this.config(props);
+  }
+
+  config(props) {
+    this.props = props;
+  }
+}
+
+describe('GeoJSONLayer', () => {
+  const { layerClasses } = GeoJSONLayer;
+  const data = {
+    features: [{
+      geometry: { coordinates: [0, 0], type: 'Point' },
+      type: 'Feature',
+    }, {
+      geometry: { coordinates: [[0, 0], [1, 1]], type: 'LineString' },
+      type: 'Feature',
+    }],
+    type: 'FeatureCollection',
+  };
+  const adapter = new StandaloneAdapter({ height: 100, width: 100 });
+
+  beforeEach(() => {
+    GeoJSONLayer.layerClasses = {
+      polygon: StubLayer,
+      line: StubLayer,
+      circle: StubLayer,
+      marker: StubLayer,
+    };
+  });
+
+  afterEach(() => {
+    GeoJSONLayer.layerClasses = layerClasses;
+  });
+
+  it('creates sub-layers of geometry types that have something to draw', () => {
+    const layer = new GeoJSONLayer({ adapter, data, zIndex: 20 });
+
+    expect(Object.keys(layer.layers)).toEqual(['line', 'circle']);
+    expect(layer.layers.line.props).toMatchObject({
+      data: [{ path: [[0, 0], [1, 1]] }],
+      zIndex: 21,
+    });
+    expect(layer.layers.circle.props).toMatchObject({ data: [{ location: [0, 0] }], zIndex: 22 });
+  });
+
+  it('merges style shared by all sub-layers into style of each sub-layer', () => {
+    const layer = new GeoJSONLayer({
+      adapter,
+      circle: { style: { radius: 6 } },
+      data,
+      line: { style: { opacity: 1 } },
+      style: { color: 'red', opacity: 0.5 },
+    });
+
+    expect(layer.layers.circle.props.style).toEqual({
+      color: 'red',
+      opacity: 0.5,
+      radius: 6,
+      radiusUnit: 'pixel',
+    });
+    expect(layer.layers.line.props.style).toEqual({ color: 'red', opacity: 1 });
+  });
+});
@@ -0,0 +1,110 @@
+import PropTypes from 'prop-types';
+import BaseLayer from '../BaseLayer';
+import CanvasHeatmap from '../renderers/Heatmap';
+
+class Heatmap extends BaseLayer {
+  config(props) {
+    const {
+      blur,
+      gradient,
+      max,
+      radius,
+    } = props;
+
+    super.config(props);
+
+    this.blur = blur;
+    this.gradient = gradient;
+    this.max = max;
+    this.radius = radius;
+  }
+
+  getRendererProps() {
+    return {
+      ...super.getRendererProps(),
+      blur: this.blur,
+      gradient: this.gradient,
+      max: this.max,
+      radius: this.radius,
+    };
+  }
+
+  /**
+   * Transform lng lat coordinates to canvas coordinates.
+   */
+  projectItem({ location, weight }) {
+    return {
+      position: this.project(location),
+      weight,
+    };
+  }
+}
+
+/**
+ * Canvas component that draws heatmap.
+ */
+Heatmap.Renderer = CanvasHeatmap;
+
+/**
+ * Renderer projects items right before each of them renders.
+ */
+Heatmap.deferProjection = true;
+
+Heatmap.propTypes = {
+  ...BaseLayer.propTypes,
+  /**
+   * Blurred fraction of radius, from 0 to 1. Bigger blur makes smoother heatmap.
+   * Default 0.85.
+   */
+  blur: PropTypes.number,
+  /**
+   * A list of weighted points.
+   */
+  data: PropTypes.arrayOf(PropTypes.shape({
+    /**
+     * Point lng lat location. i.e. [lng, lat].
+     */
+    location: PropTypes.arrayOf(PropTypes.number).isRequired,
+    /**
+     * Point weight.
+     * Default 1.
+     */
+    weight: PropTypes.number,
+  })),
+  /**
+   * Colour ramp. Colour stops are keyed by intensity from 0 to 1.
+   * i.e. { 0.4: 'blue', 0.6: 'cyan', 0.7: 'lime', 0.8: 'yellow', 1: 'red' }, which is default.
+   */
+  gradient: PropTypes.objectOf(PropTypes.string),
+  /**
+   * Intensity that reaches the hottest colour. Intensity beyond max is displayed as max.
+   * Default the peak intensity on screen, which is the largest aggregated weight of overlapping
+   * points. It is derived every render, therefore colours are relative to the current view.
+   */
+  max: PropTypes.number,
+  /**
+   * Callback fired when pointer leaves heatmap, or intensity under pointer changes.
+   * Signature:
+   * (event, intensities) => void
+   * event: Map event given by map adapter, i.e. AMap MapsEvent object.
+   * intensities: [{ intensity }] if pointer is still on heatmap, [] otherwise. Intensity is
+   * aggregated weight under pointer, in the same unit as max. It may exceed max.
+   */
+  onMouseOut: PropTypes.func,
+  /**
+   * Callback fired when pointer moves onto heatmap, or intensity under pointer changes.
+   * Signature:
+   * (event, intensities) => void
+   * event: Map event given by map adapter, i.e. AMap MapsEvent object.
+   * intensities: [{ intensity }]. Intensity is aggregated weight under pointer, in the same unit
+   * as max. It may exceed max.
+   */
+  onMouseOver: PropTypes.func,
+  /**
+   * Point radius in pixel.
+   * Default 25.
+   */
+  radius: PropTypes.number,
+};
+
+export default Heatmap;
@@ -1,450 +1,257 @@
 import PropTypes from 'prop-types';
-import { isEqual } from 'lodash';
-import { Line as CanvasLine } from '2drender';
-import getDPR from '../utils/getDPR';
+import BaseLayer from '../BaseLayer';
+import CanvasLine from '../renderers/Line';
+import clipPathByTime from '../utils/clipPathByTime';
+import createColorScale from '../utils/createColorScale';
+import getCoordinatesBounds from '../utils/getCoordinatesBounds';
 import isNullVoid from '../utils/isNullVoid';
-import moveCanvas from '../utils/moveCanvas';
 
-class Line {
+class Line extends BaseLayer {
   /**
-   * Transform lng lat coordinates to canvas coordinates.
+   * Lines with per-vertex timestamps are clipped to time window, otherwise lines are filtered
+   * by their time property.
    */
-  static coordinateTransformation(map, coordinates) {
-    /**
-     * Compatible with object coordinates and array coordinates.
-     */
-    let { lng, lat } = coordinates;
-    if (coordinates instanceof Array) {
-      [lng, lat] = coordinates;
-    }
-    /**
-     * AMap.LngLat fix lng lat coordinates errors.
-     */
-    const lngLat = new window.AMap.LngLat(lng, lat);
-    const { x, y } = map.lngLatToContainer(lngLat);
-    return [x, y];
+  static filterByTime(line, start, end) {
+    const { times } = line;
+
+    if (isNullVoid(times)) return BaseLayer.filterByTime(line, start, end);
+
+    const clipped = clipPathByTime(line, start, end);
+    if (clipped.path.length === 0) return null;
+
+    return {
+      ...line,
+      ...clipped,
+    };
+  }
+
+  static getItemBounds({ path }) {
+    return getCoordinatesBounds(path);
   }
 
   /**
-   * Transform lng lat coordinates to canvas coordinates.
+   * Return a function that transforms a line to canvas coordinates with the given AMap instance.
+   * Kept for compatibility. Line layer projects every line right before it renders through
+   * getSnapshotBeforeRender renderer prop, which goes through map adapter.
    */
   static getSnapshotBeforeRender(map) {
-    return ({ color, path, width }) => {
+    return (line) => {
       return {
-        color,
-        path: path.map((coordinates) => {
-          return Line.coordinateTransformation(map, coordinates);
-        }),
-        width,
+        ...line,
+        path: line.path.map((coordinates) => Line.coordinateTransformation(map, coordinates)),
       };
     };
   }
 
-  constructor(props) {
-    const {
-      data = [],
-      height = 0,
-      map,
-      onClick,
-      onMouseOut,
-      onMouseOver,
-      opacity = 1,
-      width = 0,
-      zIndex = 12,
-      zooms = [3, 18],
-    } = props;
+  config(props) {
+    const { colorScale } = props;
 
-    /**
-     * Get device pixel ratio. It is critical to support RETINA devices.
-     * DPR shall not change during lifetime, which means dragging browser from lower DPR device to
-     * higher DPR device results blurred images. In this case, user must perform refresh in higher
-     * DPR devices.
-     */
-    this.dpr = getDPR();
+    super.config(props);
 
-    /**
-     * Save lines that pointer is hovering. Compare with previous hover lines to understand
-     * whether it is a mouse over or mouse out event.
-     */
-    this.hoverLines = [];
-    /**
-     * Its functionality is very similar to hoverLines, although it is used to determine
-     * cursor style.
-     */
-    this.hoverStyleLines = [];
-    /**
-     * Map instance cannot be changed during lifetime, therefore, it is not memorised by config
-     * function.
-     */
-    this.map = map;
-    /**
-     * Hook map click event.
-     */
-    this.map.on('click', this.handleClick, this);
-    this.map.on('mousemove', this.handleMouseMove, this);
-    /**
-     * Do not render canvas if map is dragging.
-     */
-    this.map.on('dragend', this.handleDragEnd, this);
-    this.map.on('dragstart', this.handleDragStart, this);
-    this.map.on('touchend', this.handleDragEnd, this);
-    this.map.on('touchstart', this.handleDragStart, this);
+    this.colorScale = colorScale;
+  }
 
-    /**
-     * Do not render canvas if map is dragging.
-     */
-    this.isDragging = false;
+  /**
+   * Return a function that maps vertex value to colour. Colour scale domain defaults to the
+   * minimum and maximum values of all lines. Domain is derived from all lines regardless of time
+   * range, so that colours stay stable during playback.
+   */
+  getColorScale() {
+    if (isNullVoid(this.colorScale)) return void 0;
+    if (typeof this.colorScale === 'function' || this.colorScale.domain) {
+      return createColorScale(this.colorScale);
+    }
 
-    /**
-     * Create canvas.
-     */
-    this.canvas = window.document.createElement('canvas');
-    this.ctx = this.canvas.getContext('2d');
-    /**
-     * A Daemon is a programme that runs as a background process, rather than being under the direct
-     * control of an interactive user.
-     * With underlying Marker, hundreds of thousands of UI elements are rendered asynchronously by
-     * taking advantage of CPU idle time. This beautiful animation is attractive for the initial
-     * render. However, all following re-renders, such as dragging, UI elements position changing,
-     * and etc, breaks logical links with the previous state with this animation.
-     * Keeping visible canvas frozen, while rendering UI elements at background and display
-     * daemon canvas as soon as it completes prevents unnecessary UI elements flash.
-     */
-    this.daemonCanvas = document.createElement('canvas');
-    /**
-     * Memorise properties that can be changed during lifetime.
-     */
-    this.config({
-      data,
-      height,
-      onClick,
-      onMouseOut,
-      onMouseOver,
-      width,
-    });
-    this.canvasLine = new CanvasLine();
-    /**
-     * Initialise AMap custom layer.
-     */
-    window.AMap.plugin('AMap.CustomLayer', () => {
-      /**
-       * Create AMap custom layer.
-       */
-      this.customLayer = new window.AMap.CustomLayer(this.canvas, {
-        map,
-        opacity,
-        zIndex,
-        zooms,
+    let min = Infinity;
+    let max = -Infinity;
+    this.data.forEach(({ values = [] }) => {
+      values.forEach((value) => {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
       });
-      /**
-       * Assign custom layer's render function so that this function will be called every time
-       * canvas needs update.
-       */
-      this.customLayer.render = this.internalRender.bind(this);
+    });
+
+    return createColorScale({
+      ...this.colorScale,
+      domain: [min, max],
     });
   }
 
   /**
-   * All properties that can be changed during lifetime should be handled by this function.
-   * Update ctx, dataset, and event callbacks.
+   * Colour scale domain is derived from the whole dataset before lines render.
    */
-  config(props) {
-    const {
-      data = [],
-      height = 0,
-      onClick,
-      onMouseOut,
-      onMouseOver,
-      width = 0,
-    } = props;
+  getRendererProps() {
+    this.colorScaleFunction = this.getColorScale();
 
-    this.data = data;
-    this.onClick = onClick;
-    this.onMouseOut = onMouseOut;
-    this.onMouseOver = onMouseOver;
-    /**
-     * Memorise width and height so that we understand if width or height is updated in lifetime.
-     * Change canvas size only if its shape changes.
-     */
-    if (height !== this.height) {
-      this.height = height;
-      /**
-       * Set CSS value to scale down by dpr value to make image sharp.
-       */
-      this.canvas.style.height = `${height}px`;
-    }
-    if (width !== this.width) {
-      this.width = width;
-      /**
-       * Set CSS value to scale down by dpr value to make image sharp.
-       */
-      this.canvas.style.width = `${width}px`;
-    }
+    return super.getRendererProps();
   }
 
   /**
-   * Remove custom layer.
+   * Return vertex colours, which are either given by colors, or mapped from values by colour
+   * scale.
    */
-  destroy() {
-    /**
-     * In case of custom layer is destroyed before AMap.CustomLayer has loaded.
-     */
-    if (this.customLayer) this.customLayer.setMap(null);
-    /**
-     * Remove event hooks.
-     * https://github.com/marcosun/amap-2drender/issues/1
-     */
-    this.map.off('click', this.handleClick, this);
-    this.map.off('dragend', this.handleDragEnd, this);
-    this.map.off('dragstart', this.handleDragStart, this);
-    this.map.off('mousemove', this.handleMouseMove, this);
-    this.map.off('touchend', this.handleDragEnd, this);
-    this.map.off('touchstart', this.handleDragStart, this);
+  getVertexColors({ colors, values }) {
+    if (isNullVoid(colors) && !isNullVoid(values) && !isNullVoid(this.colorScaleFunction)) {
+      return values.map((value) => this.colorScaleFunction(value));
+    }
+
+    return colors;
   }
 
   /**
-   * Propagate click event to parent module if onClick event handler is defined.
+   * Colour scale cannot be cloned to worker, therefore vertex colours are mapped beforehand.
+   * Vertexes without colour are given colours the same way as main thread line renderer.
    */
-  handleClick(event) {
-    if (typeof this.onClick === 'function') {
-      const clickedLines = this.canvasLine.findByPosition(event.pixel);
+  getWorkerItem(line) {
+    const workerItem = super.getWorkerItem(line);
+    const colors = this.getVertexColors(line);
 
-      if (clickedLines.length !== 0) {
-        this.onClick(event, clickedLines);
-      }
+    if (!isNullVoid(colors)) {
+      workerItem.colors = CanvasLine.getVertexColors(colors, line.path.length, line.color);
     }
-  }
 
-  handleDragEnd() {
-    this.isDragging = false;
+    return workerItem;
   }
 
-  /**
-   * Do not render canvas if map is dragging.
-   */
-  handleDragStart() {
-    this.isDragging = true;
+  getWorkerRendererProps() {
+    this.colorScaleFunction = this.getColorScale();
+
+    return super.getWorkerRendererProps();
   }
 
   /**
-   * Propagate mouse over and mouse out events to parent module.
+   * Default colour scale domain is derived from data, therefore vertex colours of unchanged lines
+   * may change once data changes.
    */
-  handleMouseHover(event) {
-    /**
-     * Finding hovering lines is a time consuming task. Run the task only if either mouse over
-     * or mouse out event is hooked.
-     */
-    if (typeof this.onMouseOver === 'function' || typeof this.onMouseOut === 'function') {
-      const lines = this.canvasLine.findByPosition(event.pixel);
-
-      if (lines.length > this.hoverLines.length) {
-        /**
-         * An increasing line length is a concrete signal of a mouse over event.
-         */
-        if (typeof this.onMouseOver === 'function') {
-          this.onMouseOver(event, lines);
-        }
-      } else if (lines.length < this.hoverLines.length) {
-        /**
-         * A dropping line length is a concrete signal of a mouse out event.
-         */
-        if (typeof this.onMouseOut === 'function') {
-          this.onMouseOut(event, lines);
-        }
-      } else if (!isEqual(lines, this.hoverLines)) {
-        /**
-         * If line length does not change, there could be two reasons:
-         * 1. pointer is not moving out of any lines.
-         * 2. pointer is moving to other lines however the number of lines does not change.
-         * If lines pass deep equality check, it means point is not moving out of any lines,
-         * fails otherwise.
-         * For scenario two, mouse out event is fired before mouse over event to notify the hovering
-         * line being changed.
-         */
-        if (typeof this.onMouseOut === 'function') {
-          this.onMouseOut(event, lines);
-        }
-        if (typeof this.onMouseOver === 'function') {
-          this.onMouseOver(event, lines);
-        }
-      }
+  invalidateData() {
+    super.invalidateData();
 
-      this.hoverLines = lines;
+    if (!isNullVoid(this.colorScale)
+      && typeof this.colorScale !== 'function'
+      && isNullVoid(this.colorScale.domain)
+    ) {
+      this.resetProjectedItems();
     }
   }
 
   /**
-   * Change cursor style if mouse events are being watched.
+   * Transform lng lat coordinates to canvas coordinates, and vertex values to vertex colours.
    */
-  handleMouseHoverStyle(event) {
-    /**
-     * Finding hovering lines is a time consuming task. Run the task only if at least one of mouse
-     * events is hooked.
-     */
-    if (typeof this.onClick === 'function'
-      || typeof this.onDoubleClick === 'function'
-      || typeof this.onMouseOver === 'function'
-      || typeof this.onMouseOut === 'function'
-    ) {
-      const lines = this.canvasLine.findByPosition(event.pixel);
-
-      /**
-       * Change cursor to pointer if mouse moves on at least one line.
-       */
-      if (this.hoverStyleLines.length === 0 && lines.length > 0) {
-        this.map.setDefaultCursor('pointer');
-      }
+  projectItem(line) {
+    const {
+      colors,
+      path,
+      values,
+      ...style
+    } = line;
 
+    return {
       /**
-       * Change cursor to AMap default style if mouse leaves all lines.
+       * Pass all style properties to canvasLine.
        */
-      if (this.hoverStyleLines.length > 0 && lines.length === 0) {
-        this.map.setDefaultCursor();
-      }
-
-      this.hoverStyleLines = lines;
-    }
-  }
-
-  handleMouseMove(event) {
-    /**
-     * Propagate mouse over and mouse out events to parent module.
-     */
-    this.handleMouseHover(event);
-    /**
-     * Change cursor style if mouse events are being watched.
-     */
-    this.handleMouseHoverStyle(event);
+      ...style,
+      colors: this.getVertexColors(line),
+      path: this.projectPath(path),
+    };
   }
+}
 
-  /**
-   * Render function will be called every time canvas needs update (such as after drag and zoom).
-   * This internal render function is expected to be called internally only.
-   * User should use render function rather than internal render.
-   */
-  async internalRender() {
-    const getPreviousCenterAndZoom = () => {
-      return {
-        previousCenter: this.previousCenter,
-        previousZoom: this.previousZoom,
-      };
-    };
+/**
+ * Canvas component that draws lines.
+ */
+Line.Renderer = CanvasLine;
 
-    const getNextCenterAndZoom = () => {
-      const nextCenter = this.map.getCenter();
-      const nextZoom = this.map.getZoom();
+/**
+ * Item properties that hold lng lat coordinates.
+ */
+Line.coordinateFields = ['path'];
 
-      return {
-        nextCenter,
-        nextZoom,
-      };
-    };
+/**
+ * Renderer projects items right before each of them renders.
+ */
+Line.deferProjection = true;
 
-    const memorisePreviousCenterAndZoom = () => {
-      this.previousCenter = this.map.getCenter();
-      this.previousZoom = this.map.getZoom();
-    };
-
-    /**
-     * Do not render canvas if map is dragging.
-     */
-    if (this.isDragging) return;
-
-    let canvas = this.canvas;
-    /**
-     * Keeping visible canvas frozen, while rendering UI elements at background and display
-     * daemon canvas as soon as it completes prevents unnecessary UI elements flash.
-     * This happens only after map drag. Zoom change does not use daemon canvas.
-     */
-    const { nextCenter, nextZoom } = getNextCenterAndZoom();
-    const { previousCenter, previousZoom } = getPreviousCenterAndZoom();
-    if (nextZoom === previousZoom) {
-      canvas = this.daemonCanvas;
-      /**
-       * Map drag difference in pixel.
-       */
-      const deltaX = this.map.lngLatToContainer(nextCenter).getX() -
-        this.map.lngLatToContainer(previousCenter).getX();
-      const deltaY = this.map.lngLatToContainer(nextCenter).getY() -
-        this.map.lngLatToContainer(previousCenter).getY();
-      /**
-       * Move visible canvas horizontally and vertically.
-       */
-      moveCanvas({
-        canvas: this.canvas,
-        deltaX: -deltaX,
-        deltaY: -deltaY,
-        dpr: this.dpr,
-      });
-    }
+/**
+ * Worker renderer that draws lines, and line properties it needs.
+ */
+Line.workerType = 'line';
+Line.workerFields = ['color', 'dash', 'gradient', 'lineCap', 'lineJoin', 'path', 'width'];
 
+Line.propTypes = {
+  ...BaseLayer.propTypes,
+  /**
+   * Colour scale that maps vertex values to vertex colours. It is either a function of signature:
+   * value => color
+   * or { domain: [min, max], range: [color, ...] }, whose range colours are evenly spread over
+   * domain and interpolated in between. Domain defaults to the minimum and maximum vertex values.
+   */
+  colorScale: PropTypes.oneOfType([
+    PropTypes.func,
+    PropTypes.shape({
+      domain: PropTypes.arrayOf(PropTypes.number),
+      range: PropTypes.arrayOf(PropTypes.string).isRequired,
+    }),
+  ]),
+  /**
+   * A list of polylines.
+   */
+  data: PropTypes.arrayOf(PropTypes.shape({
     /**
-     * When rendering at background, user could drag map. Visible canvas should move the previously
-     * moved canvas, rather than background canvas.
+     * Arrowheads that follow the bearing of the segment they are placed on.
      */
-    memorisePreviousCenterAndZoom();
-
-    this.canvasLine.config({
-      canvas,
-      data: this.data,
+    arrow: PropTypes.shape({
       /**
-       * 2drender understands rendered images are displayed on high DPR devices.
+       * Arrow colour.
+       * Default line colour.
        */
-      dpr: this.dpr,
+      color: PropTypes.string,
       /**
-       * Everytime render function get called, canvas coordinates must get updated to reflect
-       * changes.
-       * When dataset is large, it takes a considerable time to transform lng lat coordinates to
-       * canvas coordinates. getSnapshotBeforeRender takes advantage of none UI blocking skills
-       * by invoking transformation function only before each line renders.
+       * Distance between repeated arrows in pixel.
+       * Default 100.
        */
-      getSnapshotBeforeRender: Line.getSnapshotBeforeRender(this.map),
+      interval: PropTypes.number,
       /**
-       * Canvas CSS height.
+       * Place a single arrow at the end of line, or repeat arrows along line every interval.
+       * Default end.
        */
-      height: this.height,
+      placement: PropTypes.oneOf(['end', 'repeat']),
       /**
-       * Canvas CSS width.
+       * Arrow length in pixel. Arrow width is half of its length.
+       * Default three times line width, and at least 8.
        */
-      width: this.width,
-    });
+      size: PropTypes.number,
+    }),
     /**
-     * Call canvas line render function to draw polylines.
+     * Line fill colour.
+     * Default black.
      */
-    await this.canvasLine.render();
-
+    color: PropTypes.string,
     /**
-     * Replace visible canvas with completed canvas to prevent UI elements flash.
+     * Colour of each vertex, which has the same length as path. It has higher priority over
+     * values and color. A vertex without colour takes the colour of the previous vertex.
      */
-    if (nextZoom === previousZoom) {
-      this.canvas.width = this.daemonCanvas.width;
-      this.canvas.height = this.daemonCanvas.height;
-      this.ctx.drawImage(this.daemonCanvas, 0, 0);
-    }
-  }
-
-  /**
-   * This is the function user calls to update how canvas looks like.
-   * If configuration properties are not provided, canvas will perform a refresh.
-   */
-  render(props) {
-    if (!isNullVoid(props)) {
-      this.config(props);
-    }
-    this.internalRender();
-  }
-}
-
-Line.propTypes = {
-  /**
-   * A list of polylines.
-   */
-  data: PropTypes.arrayOf(PropTypes.shape({
+    colors: PropTypes.arrayOf(PropTypes.string),
     /**
-     * Line fill colour.
-     * Default black.
+     * Dash pattern in pixel, which alternates dash and gap lengths. i.e. [10, 5].
+     * Default solid line.
      */
-    color: PropTypes.string,
+    dash: PropTypes.arrayOf(PropTypes.number),
+    /**
+     * Interpolate colours between vertexes if true, otherwise each segment is painted with its
+     * starting vertex colour.
+     * Default false.
+     */
+    gradient: PropTypes.bool,
+    /**
+     * Line cap style.
+     * Default butt, or round if line has vertex colours.
+     */
+    lineCap: PropTypes.oneOf(['butt', 'round', 'square']),
+    /**
+     * Line join style.
+     * Default miter.
+     */
+    lineJoin: PropTypes.oneOf(['bevel', 'miter', 'round']),
     /**
      * Line path. Supports line string. i.e. [[lng, lat], [lng, lat], [lng, lat]] or
      * [{lng, lat}, {lng, lat}, {lng, lat}]
@@ -456,73 +263,28 @@ Line.propTypes = {
         lng: PropTypes.number,
       }),
     ])).isRequired,
+    /**
+     * Line timestamp. Line is rendered only if its time falls in time range set by setTime or
+     * setTimeRange.
+     */
+    time: PropTypes.number,
+    /**
+     * Timestamp of each vertex in ascending order, which has the same length as path.
+     * Path is clipped to time range set by setTime or setTimeRange, and interpolated at time
+     * range boundaries. It has higher priority over time.
+     */
+    times: PropTypes.arrayOf(PropTypes.number),
+    /**
+     * Value of each vertex, which has the same length as path. i.e. speed at each vertex.
+     * Values are mapped to vertex colours by colorScale. It has higher priority over color.
+     */
+    values: PropTypes.arrayOf(PropTypes.number),
     /**
      * Line width.
      * Default 1.
      */
     width: PropTypes.number,
   })),
-  /**
-   * Canvas height.
-   * Default 0.
-   */
-  height: PropTypes.number,
-  /**
-   * AMap instance.
-   */
-  map: PropTypes.object.isRequired,
-  /**
-   * Callback fired when at least a polyline is clicked.
-   * Signature:
-   * (event, lines) => void
-   * event: AMap MapsEvent object.
-   * lines: A list of lines that is clicked. Lines with the earlier position in the data array
-   * are positioned later in the click callback. This is because lines appear later in the data
-   * array are drawn later and has a higher priority when clicked.
-   */
-  onClick: PropTypes.func,
-  /**
-   * Callback fired when pointer leaves the element or one of its child elements (even if
-   * the pointer is still within the element).
-   * Signature:
-   * (event, lines) => void
-   * event: AMap MapsEvent object.
-   * lines: A list of lines that pointer overs. Lines with the earlier position in the data
-   * array are positioned later in the mouse over callback. This is because lines appear later
-   * in the data array are drawn later and has a higher priority when mouse over.
-   */
-  onMouseOut: PropTypes.func,
-  /**
-   * Callback fired when pointer moves onto the element or one of its child elements (even if
-   * the pointer is still within the element).
-   * Signature:
-   * (event, lines) => void
-   * event: AMap MapsEvent object.
-   * lines: A list of lines that pointer overs. Lines with the earlier position in the data
-   * array are positioned later in the mouse over callback. This is because lines appear later
-   * in the data array are drawn later and has a higher priority when mouse over.
-   */
-  onMouseOver: PropTypes.func,
-  /**
-   * Custom layer opacity.
-   * Default 1.
-   */
-  opacity: PropTypes.number,
-  /**
-   * Canvas height.
-   * Default 0.
-   */
-  width: PropTypes.number,
-  /**
-   * Custom layer zIndex.
-   * Default 12.
-   */
-  zIndex: PropTypes.number,
-  /**
-   * Custom layer visible zoom ranges.
-   * Default [3, 18]
-   */
-  zooms: PropTypes.arrayOf(PropTypes.number),
 };
 
 export default Line;
@@ -0,0 +1,38 @@
+import Line from '.';
+
+describe('Line', () => {
+  const { AMap } = window;
+
+  beforeEach(() => {
+    /**
+     * AMap.LngLat is a plain lng lat pair.
+     */
+    window.AMap = {
+      LngLat: function LngLat(lng, lat) {
+        this.lng = lng;
+        this.lat = lat;
+      },
+    };
+  });
+
+  afterEach(() => {
+    window.AMap = AMap;
+  });
+
+  it('keeps static getSnapshotBeforeRender, which projects lines with AMap instance', () => {
+    const map = {
+      lngLatToContainer: ({ lat, lng }) => ({ x: lng * 10, y: lat * 10 }),
+    };
+    const getSnapshotBeforeRender = Line.getSnapshotBeforeRender(map);
+
+    expect(getSnapshotBeforeRender({
+      color: 'red',
+      path: [[1, 2], { lat: 4, lng: 3 }],
+      width: 2,
+    })).toEqual({
+      color: 'red',
+      path: [[10, 20], [30, 40]],
+      width: 2,
+    });
+  });
+});
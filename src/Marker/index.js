@@ -1,475 +1,482 @@
 import PropTypes from 'prop-types';
-import { isEqual } from 'lodash';
 import { Marker as CanvasMarker } from '2drender';
-import getDPR from '../utils/getDPR';
+import BaseLayer from '../BaseLayer';
+import clusterByDistance from '../utils/clusterByDistance';
+import createClusterIcon from '../utils/createClusterIcon';
 import isNullVoid from '../utils/isNullVoid';
-import moveCanvas from '../utils/moveCanvas';
 
-class Marker {
-  /**
-   * Transform lng lat coordinates to canvas coordinates.
-   */
-  static coordinateTransformation(map, coordinates) {
-    /**
-     * Compatible with object coordinates and array coordinates.
-     */
-    let { lng, lat } = coordinates;
-    if (coordinates instanceof Array) {
-      [lng, lat] = coordinates;
-    }
-    /**
-     * AMap.LngLat fix lng lat coordinates errors.
-     */
-    const lngLat = new window.AMap.LngLat(lng, lat);
-    const { x, y } = map.lngLatToContainer(lngLat);
-    return [x, y];
+/**
+ * Return true if both lists hold the same items in the same order.
+ */
+function isSameItems(items, otherItems) {
+  if (items === otherItems) return true;
+  if (isNullVoid(items) || isNullVoid(otherItems) || items.length !== otherItems.length) {
+    return false;
   }
 
+  return items.every((item, index) => item === otherItems[index]);
+}
+
+class Marker extends BaseLayer {
   /**
-   * Transform lng lat coordinates to canvas coordinates.
+   * Render an animation frame, which draws markers at their interpolated positions. Frames are
+   * requested every animation frame, and skipped while the previous frame is still rendering, so
+   * that renders never pile up on slow devices. The final frame is always rendered.
    */
-  static getSnapshotBeforeRender(map) {
-    return (marker) => {
-      const { location } = marker;
-      let { position } = marker;
+  animate(timestamp) {
+    const { duration = 1000 } = this.animation;
 
+    if (isNullVoid(this.animationStartTime)) this.animationStartTime = timestamp;
+    this.animationProgress = Math.min((timestamp - this.animationStartTime) / duration, 1);
+
+    if (this.animationProgress < 1) {
+      this.animationFrameId = window.requestAnimationFrame((nextTimestamp) => {
+        this.animate(nextTimestamp);
+      });
+    } else {
       /**
-       * Position has higher priority over location. If position is not defined, position is
-       * derived from location.
+       * Markers at rest are drawn at their destinations by the final frame.
        */
-      if (!position) {
-        /**
-         * Transform lng lat coordinates to canvas coordinates.
-         */
-        position = Marker.coordinateTransformation(map, location);
-      }
-
-      return {
-        /**
-         * Pass all other properties to canvasMarker. This entire object will be returned when
-         * calling findByPosition function.
-         */
-        ...marker,
-        position,
-      };
-    };
-  }
-
-  constructor(props) {
-    const {
-      data = [],
-      height = 0,
-      map,
-      onClick,
-      onDoubleClick,
-      onMouseOut,
-      onMouseOver,
-      opacity = 1,
-      width = 0,
-      zIndex = 12,
-      zooms = [3, 18],
-    } = props;
-
-    /**
-     * Get device pixel ratio. It is critical to support RETINA devices.
-     * DPR shall not change during lifetime, which means dragging browser from lower DPR device to
-     * higher DPR device results blurred images. In this case, user must perform refresh in higher
-     * DPR devices.
-     */
-    this.dpr = getDPR();
-
-    /**
-     * Save markers that pointer is hovering. Compare with previous hover markers to understand
-     * whether it is a mouse over or mouse out event.
-     */
-    this.hoverMarkers = [];
-    /**
-     * Its functionality is very similar to hoverMarkers, although it is used to determine
-     * cursor style.
-     */
-    this.hoverStyleMarkers = [];
-    /**
-     * Map instance cannot be changed during lifetime, therefore, it is not memorised by config
-     * function.
-     */
-    this.map = map;
-    /**
-     * Hook map click event.
-     */
-    this.map.on('click', this.handleClick, this);
-    this.map.on('dblclick', this.handleDoubleClick, this);
-    this.map.on('mousemove', this.handleMouseMove, this);
-    /**
-     * Do not render canvas if map is dragging.
-     */
-    this.map.on('dragend', this.handleDragEnd, this);
-    this.map.on('dragstart', this.handleDragStart, this);
-    this.map.on('touchend', this.handleDragEnd, this);
-    this.map.on('touchstart', this.handleDragStart, this);
+      this.stopAnimation();
+    }
 
-    /**
-     * Do not render canvas if map is dragging.
-     */
-    this.isDragging = false;
+    if (this.isAnimating && !isNullVoid(this.animationRender)) return;
 
-    /**
-     * Create canvas.
-     */
-    this.canvas = window.document.createElement('canvas');
-    this.ctx = this.canvas.getContext('2d');
-    /**
-     * A Daemon is a programme that runs as a background process, rather than being under the direct
-     * control of an interactive user.
-     * With underlying Marker, hundreds of thousands of UI elements are rendered asynchronously by
-     * taking advantage of CPU idle time. This beautiful animation is attractive for the initial
-     * render. However, all following re-renders, such as dragging, UI elements position changing,
-     * and etc, breaks logical links with the previous state with this animation.
-     * Keeping visible canvas frozen, while rendering UI elements at background and display
-     * daemon canvas as soon as it completes prevents unnecessary UI elements flash.
-     */
-    this.daemonCanvas = document.createElement('canvas');
-    /**
-     * Memorise properties that can be changed during lifetime.
-     */
-    this.config({
-      data,
-      height,
-      onClick,
-      onDoubleClick,
-      onMouseOut,
-      onMouseOver,
-      width,
-    });
-    this.canvasMarker = new CanvasMarker();
-    /**
-     * Initialise AMap custom layer.
-     */
-    window.AMap.plugin('AMap.CustomLayer', () => {
-      /**
-       * Create AMap custom layer.
-       */
-      this.customLayer = new window.AMap.CustomLayer(this.canvas, {
-        map,
-        opacity,
-        zIndex,
-        zooms,
-      });
+    const rendering = this.internalRender().catch(() => {
       /**
-       * Assign custom layer's render function so that this function will be called every time
-       * canvas needs update.
+       * A frame cancelled by a newer render is not an error.
        */
-      this.customLayer.render = this.internalRender.bind(this);
+    }).then(() => {
+      if (this.animationRender === rendering) this.animationRender = void 0;
     });
+    this.animationRender = rendering;
   }
 
-  /**
-   * All properties that can be changed during lifetime should be handled by this function.
-   * Update ctx, dataset, and event callbacks.
-   */
   config(props) {
     const {
-      data = [],
-      height = 0,
-      onClick,
-      onDoubleClick,
-      onMouseOut,
-      onMouseOver,
-      width = 0,
+      animation,
+      cluster,
     } = props;
+    /**
+     * Markers are tweened from where they are displayed right now, which may be half way through
+     * the previous animation.
+     */
+    const displayedMarkers = isNullVoid(this.animation) ? void 0 : this.getDisplayedMarkers();
 
-    this.data = data;
-    this.onClick = onClick;
-    this.onDoubleClick = onDoubleClick;
-    this.onMouseOut = onMouseOut;
-    this.onMouseOver = onMouseOver;
+    super.config(props);
+
+    this.animation = animation;
+    this.cluster = cluster;
     /**
-     * Memorise width and height so that we understand if width or height is updated in lifetime.
-     * Change canvas size only if its shape changes.
+     * Cluster groups are no longer valid once cluster options change.
      */
-    if (height !== this.height) {
-      this.height = height;
-      /**
-       * Set CSS value to scale down by dpr value to make image sharp.
-       */
-      this.canvas.style.height = `${height}px`;
-    }
-    if (width !== this.width) {
-      this.width = width;
-      /**
-       * Set CSS value to scale down by dpr value to make image sharp.
-       */
-      this.canvas.style.width = `${width}px`;
+    this.clusterGroups = void 0;
+
+    if (!isNullVoid(this.animation) && !isNullVoid(displayedMarkers)) {
+      this.startAnimation(displayedMarkers);
     }
   }
 
-  /**
-   * Remove custom layer.
-   */
   destroy() {
-    /**
-     * In case of custom layer is destroyed before AMap.CustomLayer has loaded.
-     */
-    if (this.customLayer) this.customLayer.setMap(null);
-    /**
-     * Remove event hooks.
-     * https://github.com/marcosun/amap-2drender/issues/1
-     */
-    this.map.off('click', this.handleClick, this);
-    this.map.off('dblclick', this.handleDoubleClick, this);
-    this.map.off('dragend', this.handleDragEnd, this);
-    this.map.off('dragstart', this.handleDragStart, this);
-    this.map.off('mousemove', this.handleMouseMove, this);
-    this.map.off('touchend', this.handleDragEnd, this);
-    this.map.off('touchstart', this.handleDragStart, this);
+    this.stopAnimation();
+    super.destroy();
   }
 
   /**
-   * Propagate click event to parent module if onClick event handler is defined.
+   * Group markers within viewport by screen pixel distance. Relative marker positions do not
+   * change unless zoom changes, therefore groups are memorised and rebuilt only if markers within
+   * viewport, cluster options or zoom changes.
+   * Markers placed by pixel position only have no location to cluster by. Each of them is a group
+   * on its own, which is never drawn as a cluster.
    */
-  handleClick(event) {
-    if (typeof this.onClick === 'function') {
-      const clickedMarkers = this.canvasMarker.findByPosition(event.pixel);
+  getClusterGroups() {
+    const data = this.getVisibleItems(this.getData());
+    const zoom = this.adapter.getZoom();
+
+    if (
+      this.clusterGroups
+      && isSameItems(data, this.clusterGroupsData)
+      && zoom === this.clusterGroupsZoom
+    ) {
+      return this.clusterGroups;
+    }
 
-      if (clickedMarkers.length !== 0) {
-        this.onClick(event, clickedMarkers);
+    const { radius = 60 } = this.cluster;
+    const locatedMarkers = [];
+    const positionedMarkers = [];
+    data.forEach((marker) => {
+      if (isNullVoid(marker.location)) {
+        positionedMarkers.push(marker);
+      } else {
+        locatedMarkers.push(marker);
       }
-    }
+    });
+    const positions = locatedMarkers.map(({ location }) => this.project(location));
+
+    this.clusterGroups = clusterByDistance(positions, radius).map((group) => {
+      return group.map((index) => locatedMarkers[index]);
+    }).concat(positionedMarkers.map((marker) => [marker]));
+    this.clusterGroupsData = data;
+    this.clusterGroupsZoom = zoom;
+
+    return this.clusterGroups;
   }
 
   /**
-   * Propagate double click event to parent module if onDoubleClick event handler is defined.
+   * Return a cluster renderer item that stands for a group of markers.
    */
-  handleDoubleClick(event) {
-    if (typeof this.onDoubleClick === 'function') {
-      const clickedMarkers = this.canvasMarker.findByPosition(event.pixel);
+  getClusterItem(members) {
+    const {
+      color = '#1890ff',
+      icon,
+      size = 40,
+      textColor = 'white',
+    } = this.cluster;
+    const count = members.length;
+
+    /**
+     * Cluster is placed at the mean location of its members.
+     */
+    let sumLng = 0;
+    let sumLat = 0;
+    const northEast = [-Infinity, -Infinity];
+    const southWest = [Infinity, Infinity];
+    members.forEach(({ location: [lng, lat] }) => {
+      sumLng += lng;
+      sumLat += lat;
+      northEast[0] = Math.max(northEast[0], lng);
+      northEast[1] = Math.max(northEast[1], lat);
+      southWest[0] = Math.min(southWest[0], lng);
+      southWest[1] = Math.min(southWest[1], lat);
+    });
+    const location = [sumLng / count, sumLat / count];
 
-      if (clickedMarkers.length !== 0) {
-        this.onDoubleClick(event, clickedMarkers);
+    let clusterIcon = icon;
+    if (typeof icon === 'function') {
+      clusterIcon = icon(count, members);
+    } else if (isNullVoid(icon)) {
+      /**
+       * Badge images are memorised by count, so that 2drender image cache is hit as well.
+       */
+      const cacheKey = `${count},${color},${size},${textColor},${this.dpr}`;
+      if (!this.clusterIcons.hasOwnProperty(cacheKey)) {
+        this.clusterIcons[cacheKey] = createClusterIcon({
+          color,
+          count,
+          dpr: this.dpr,
+          size,
+          textColor,
+        });
       }
+      clusterIcon = this.clusterIcons[cacheKey];
     }
-  }
 
-  handleDragEnd() {
-    this.isDragging = false;
+    return {
+      anchorOrigin: [-size / 2, -size / 2],
+      bounds: {
+        northEast,
+        southWest,
+      },
+      count,
+      height: size,
+      icon: clusterIcon,
+      isCluster: true,
+      location,
+      members,
+      position: this.project(location),
+      rotation: 0,
+      width: size,
+    };
   }
 
   /**
-   * Do not render canvas if map is dragging.
+   * Return the marker of the given id in GCJ-02 coordinates, which tweens are computed in.
    */
-  handleDragStart() {
-    this.isDragging = true;
+  getConvertedItem(id) {
+    const marker = this.get(id);
+
+    return isNullVoid(marker) ? void 0 : this.convertItem(marker);
   }
 
   /**
-   * Propagate mouse over and mouse out events to parent module.
+   * Return location and rotation that markers are displayed at, keyed by marker id.
    */
-  handleMouseHover(event) {
-    /**
-     * Finding hovering markers is a time consuming task. Run the task only if either mouse over
-     * or mouse out event is hooked.
-     */
-    if (typeof this.onMouseOver === 'function' || typeof this.onMouseOut === 'function') {
-      const markers = this.canvasMarker.findByPosition(event.pixel);
-
-      if (markers.length > this.hoverMarkers.length) {
-        /**
-         * An increasing marker length is a concrete signal of a mouse over event.
-         */
-        if (typeof this.onMouseOver === 'function') {
-          this.onMouseOver(event, markers);
-        }
-      } else if (markers.length < this.hoverMarkers.length) {
-        /**
-         * A dropping marker length is a concrete signal of a mouse out event.
-         */
-        if (typeof this.onMouseOut === 'function') {
-          this.onMouseOut(event, markers);
-        }
-      } else if (!isEqual(markers, this.hoverMarkers)) {
-        /**
-         * If marker length does not change, there could be two reasons:
-         * 1. pointer is not moving out of any markers.
-         * 2. pointer is moving to other markers however the number of markers does not change.
-         * If markers pass deep equality check, it means point is not moving out of any markers,
-         * fails otherwise.
-         * For scenario two, mouse out event is fired before mouse over event to notify the hovering
-         * marker being changed.
-         */
-        if (typeof this.onMouseOut === 'function') {
-          this.onMouseOut(event, markers);
-        }
-        if (typeof this.onMouseOver === 'function') {
-          this.onMouseOver(event, markers);
-        }
-      }
+  getDisplayedMarkers() {
+    const displayedMarkers = new Map();
 
-      this.hoverMarkers = markers;
-    }
+    this.getData().forEach((marker) => {
+      const id = marker[this.idField];
+      if (isNullVoid(id) || isNullVoid(marker.location)) return;
+
+      const { location, rotation = 0 } = this.interpolate(marker);
+      displayedMarkers.set(id, { location, rotation });
+    });
+
+    return displayedMarkers;
   }
 
   /**
-   * Change cursor style if mouse events are being watched.
+   * Tweening markers move every frame, therefore they are not memorised.
    */
-  handleMouseHoverStyle(event) {
+  getProjectedItem(marker) {
+    if (this.isAnimating && this.tweens.has(marker[this.idField])) {
+      return this.projectItem(marker);
+    }
+
+    return super.getProjectedItem(marker);
+  }
+
+  getRendererProps() {
+    if (isNullVoid(this.cluster)) return super.getRendererProps();
+
+    const { minCount = 2 } = this.cluster;
+
     /**
-     * Finding hovering markers is a time consuming task. Run the task only if at least one of mouse
-     * events is hooked.
+     * Badge images are rendered at layer dpr. Create the cache lazily.
      */
-    if (typeof this.onClick === 'function'
-      || typeof this.onDoubleClick === 'function'
-      || typeof this.onMouseOver === 'function'
-      || typeof this.onMouseOut === 'function'
-    ) {
-      const markers = this.canvasMarker.findByPosition(event.pixel);
+    if (isNullVoid(this.clusterIcons)) this.clusterIcons = {};
 
-      /**
-       * Change cursor to pointer if mouse moves on at least one marker.
-       */
-      if (this.hoverStyleMarkers.length === 0 && markers.length > 0) {
-        this.map.setDefaultCursor('pointer');
+    const items = [];
+    this.getClusterGroups().forEach((members) => {
+      if (members.length >= minCount && !isNullVoid(members[0].location)) {
+        items.push(this.getClusterItem(members));
+        return;
       }
 
-      /**
-       * Change cursor to AMap default style if mouse leaves all markers.
-       */
-      if (this.hoverStyleMarkers.length > 0 && markers.length === 0) {
-        this.map.setDefaultCursor();
-      }
+      members.forEach((marker) => {
+        items.push({
+          ...this.getProjectedItem(marker),
+          isCluster: false,
+        });
+      });
+    });
 
-      this.hoverStyleMarkers = markers;
-    }
+    return {
+      data: items,
+    };
   }
 
-  handleMouseMove(event) {
-    /**
-     * Propagate mouse over and mouse out events to parent module.
-     */
-    this.handleMouseHover(event);
-    /**
-     * Change cursor style if mouse events are being watched.
-     */
-    this.handleMouseHoverStyle(event);
+  /**
+   * Cluster groups are no longer valid once data changes.
+   */
+  invalidateData() {
+    super.invalidateData();
+    this.clusterGroups = void 0;
   }
 
   /**
-   * Render function will be called every time canvas needs update (such as after drag and zoom).
-   * This internal render function is expected to be called internally only.
-   * User should use render function rather than internal render.
+   * Return marker at its interpolated location and rotation if it is being tweened.
    */
-  async internalRender() {
-    const getPreviousCenterAndZoom = () => {
-      return {
-        previousCenter: this.previousCenter,
-        previousZoom: this.previousZoom,
-      };
+  interpolate(marker) {
+    if (!this.isAnimating) return marker;
+
+    const tween = this.tweens.get(marker[this.idField]);
+    if (isNullVoid(tween)) return marker;
+
+    const { easing, interpolateRotation = false } = this.animation;
+    let t = this.animationProgress;
+    if (typeof easing === 'function') t = easing(t);
+    const [fromLng, fromLat] = tween.location;
+    const [toLng, toLat] = marker.location;
+    const interpolatedMarker = {
+      ...marker,
+      location: [fromLng + (toLng - fromLng) * t, fromLat + (toLat - fromLat) * t],
     };
 
-    const getNextCenterAndZoom = () => {
-      const nextCenter = this.map.getCenter();
-      const nextZoom = this.map.getZoom();
-
-      return {
-        nextCenter,
-        nextZoom,
-      };
-    };
+    if (interpolateRotation) {
+      const { rotation = 0 } = marker;
+      /**
+       * Turn toward the new heading by the shortest angle.
+       */
+      const delta = rotation - tween.rotation;
+      const shortestDelta = delta - Math.round(delta / (Math.PI * 2)) * Math.PI * 2;
+      interpolatedMarker.rotation = tween.rotation + shortestDelta * t;
+    }
 
-    const memorisePreviousCenterAndZoom = () => {
-      this.previousCenter = this.map.getCenter();
-      this.previousZoom = this.map.getZoom();
-    };
+    return interpolatedMarker;
+  }
 
-    /**
-     * Do not render canvas if map is dragging.
-     */
-    if (this.isDragging) return;
+  projectItem(item) {
+    const marker = this.interpolate(item);
+    const { location } = marker;
+    let { position } = marker;
 
-    let canvas = this.canvas;
     /**
-     * Keeping visible canvas frozen, while rendering UI elements at background and display
-     * daemon canvas as soon as it completes prevents unnecessary UI elements flash.
-     * This happens only after map drag. Zoom change does not use daemon canvas.
+     * Position has higher priority over location. If position is not defined, position is
+     * derived from location.
      */
-    const { nextCenter, nextZoom } = getNextCenterAndZoom();
-    const { previousCenter, previousZoom } = getPreviousCenterAndZoom();
-    if (nextZoom === previousZoom) {
-      canvas = this.daemonCanvas;
+    if (!position) {
       /**
-       * Map drag difference in pixel.
+       * Transform lng lat coordinates to canvas coordinates.
        */
-      const deltaX = this.map.lngLatToContainer(nextCenter).getX() -
-        this.map.lngLatToContainer(previousCenter).getX();
-      const deltaY = this.map.lngLatToContainer(nextCenter).getY() -
-        this.map.lngLatToContainer(previousCenter).getY();
+      position = this.project(location);
+    }
+
+    return {
       /**
-       * Move visible canvas horizontally and vertically.
+       * Pass all other properties to canvasMarker. This entire object will be returned when
+       * calling findByPosition function.
        */
-      moveCanvas({
-        canvas: this.canvas,
-        deltaX: -deltaX,
-        deltaY: -deltaY,
-        dpr: this.dpr,
+      ...marker,
+      position,
+    };
+  }
+
+  /**
+   * Tween markers whose location or rotation changes from the displayed state to the new data.
+   * Markers are matched by id. Markers that are already tweening carry on from where they are
+   * displayed right now, unless displayedMarkers tells otherwise.
+   */
+  startAnimation(displayedMarkers) {
+    const fromMarkers = new Map();
+
+    if (this.isAnimating) {
+      this.tweens.forEach((tween, id) => {
+        const marker = this.getConvertedItem(id);
+        if (isNullVoid(marker)) return;
+
+        const { location, rotation = 0 } = this.interpolate(marker);
+        fromMarkers.set(id, { location, rotation });
       });
     }
+    displayedMarkers.forEach((displayedMarker, id) => {
+      fromMarkers.set(id, displayedMarker);
+    });
+
+    const tweens = new Map();
+    fromMarkers.forEach((displayedMarker, id) => {
+      const marker = this.getConvertedItem(id);
+      if (isNullVoid(marker) || isNullVoid(marker.location)) return;
+
+      const { location, rotation = 0 } = marker;
+      if (
+        displayedMarker.location[0] !== location[0]
+        || displayedMarker.location[1] !== location[1]
+        || displayedMarker.rotation !== rotation
+      ) {
+        tweens.set(id, displayedMarker);
+      }
+    });
+
+    this.tweens = tweens;
+    if (tweens.size === 0) {
+      this.stopAnimation();
+      return;
+    }
 
+    this.animationProgress = 0;
+    this.animationStartTime = void 0;
     /**
-     * When rendering at background, user could drag map. Visible canvas should move the previously
-     * moved canvas, rather than background canvas.
+     * A running animation carries on with the new tweens from the next frame.
      */
-    memorisePreviousCenterAndZoom();
+    if (this.isAnimating) return;
 
-    this.canvasMarker.config({
-      canvas,
-      data: this.data,
-      /**
-       * 2drender understands rendered images are displayed on high DPR devices.
-       */
-      dpr: this.dpr,
-      /**
-       * Everytime render function get called, canvas coordinates must get updated to reflect
-       * changes.
-       * When dataset is large, it takes a considerable time to transform lng lat coordinates to
-       * canvas coordinates. getSnapshotBeforeRender takes advantage of none UI blocking skills
-       * by invoking transformation function only before each marker renders.
-       */
-      getSnapshotBeforeRender: Marker.getSnapshotBeforeRender(this.map),
-      /**
-       * Canvas CSS height.
-       */
-      height: this.height,
-      /**
-       * Canvas CSS width.
-       */
-      width: this.width,
+    this.isAnimating = true;
+    this.animationFrameId = window.requestAnimationFrame((timestamp) => {
+      this.animate(timestamp);
     });
-    /**
-     * Call canvas marker render function to draw grids.
-     */
-    await this.canvasMarker.render();
+  }
 
-    /**
-     * Replace visible canvas with completed canvas to prevent UI elements flash.
-     */
-    if (nextZoom === previousZoom) {
-      this.canvas.width = this.daemonCanvas.width;
-      this.canvas.height = this.daemonCanvas.height;
-      this.ctx.drawImage(this.daemonCanvas, 0, 0);
+  stopAnimation() {
+    this.isAnimating = false;
+    this.tweens = new Map();
+    if (!isNullVoid(this.animationFrameId)) {
+      window.cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = void 0;
     }
   }
 
   /**
-   * This is the function user calls to update how canvas looks like.
-   * If configuration properties are not provided, canvas will perform a refresh.
+   * Tween the updated marker from where it is displayed right now.
    */
-  render(props) {
-    if (!isNullVoid(props)) {
-      this.config(props);
+  update(id, patch) {
+    const marker = this.getConvertedItem(id);
+    const displayedMarkers = new Map();
+
+    if (!isNullVoid(this.animation) && !isNullVoid(marker) && !isNullVoid(marker.location)) {
+      const { location, rotation = 0 } = this.interpolate(marker);
+      displayedMarkers.set(id, { location, rotation });
     }
-    this.internalRender();
+
+    const rendered = super.update(id, patch);
+    if (displayedMarkers.size !== 0) this.startAnimation(displayedMarkers);
+
+    return rendered;
   }
 }
 
+/**
+ * 2drender component that draws markers.
+ */
+Marker.Renderer = CanvasMarker;
+
 Marker.propTypes = {
+  ...BaseLayer.propTypes,
+  /**
+   * Tween markers from their previous location to the new location every time data updates.
+   * Markers are matched by idField. While markers move, findByPosition finds markers at their
+   * interpolated positions.
+   */
+  animation: PropTypes.shape({
+    /**
+     * Tween duration in milliseconds.
+     * Default 1000.
+     */
+    duration: PropTypes.number,
+    /**
+     * Easing function that maps linear progress from 0 to 1 to eased progress.
+     * Default linear.
+     */
+    easing: PropTypes.func,
+    /**
+     * Turn markers toward the new rotation by the shortest angle.
+     * Default false, which applies the new rotation immediately.
+     */
+    interpolateRotation: PropTypes.bool,
+  }),
+  /**
+   * Enable clustering. Markers close to each other on screen are grouped into a cluster, which is
+   * rebuilt every time zoom changes. Markers without location, which are placed by position, are
+   * drawn on their own and never clustered. If culling is enabled, only markers within viewport
+   * and culling margin are clustered.
+   * In clustering mode, click and hover callbacks receive both clusters and markers, telling them
+   * apart by isCluster property. A cluster item is:
+   * { bounds: { northEast, southWest }, count, isCluster: true, location, members, ... }
+   * where members are the clustered markers, and bounds is the lng lat bounding box of members.
+   */
+  cluster: PropTypes.shape({
+    /**
+     * Count badge background colour.
+     * Default #1890ff.
+     */
+    color: PropTypes.string,
+    /**
+     * Cluster icon, which replaces count badge. It is either whatever can be consumed by Image
+     * class, or a function of signature:
+     * (count, members) => icon
+     */
+    icon: PropTypes.any,
+    /**
+     * Minimum number of markers to form a cluster.
+     * Default 2.
+     */
+    minCount: PropTypes.number,
+    /**
+     * Markers within the given screen pixel distance are clustered.
+     * Default 60.
+     */
+    radius: PropTypes.number,
+    /**
+     * Cluster icon width and height in pixel. Cluster icon centre is placed to cluster location.
+     * Default 40.
+     */
+    size: PropTypes.number,
+    /**
+     * Count badge text colour.
+     * Default white.
+     */
+    textColor: PropTypes.string,
+  }),
   /**
    * A list of markers.
    */
@@ -506,82 +513,16 @@ Marker.propTypes = {
      * Angles are in radians, not degrees. To convert, please use: radians = (Math.PI/180)*degrees.
      */
     rotation: PropTypes.number,
+    /**
+     * Marker timestamp. Marker is rendered only if its time falls in time range set by setTime
+     * or setTimeRange.
+     */
+    time: PropTypes.number,
     /**
      * Marker width. Scale marker width.
      */
     width: PropTypes.number.isRequired,
   })),
-  /**
-   * Canvas height.
-   * Default 0.
-   */
-  height: PropTypes.number,
-  /**
-   * AMap instance.
-   */
-  map: PropTypes.object.isRequired,
-  /**
-   * Callback fired when at least a marker is clicked.
-   * Signature:
-   * (event, markers) => void
-   * event: AMap MapsEvent object.
-   * markers: A list of markers that is clicked. Markers with the earlier position in the data array
-   * are positioned later in the click callback. This is because markers appear later in the data
-   * array are drawn later and has a higher priority when clicked.
-   */
-  onClick: PropTypes.func,
-  /**
-   * Double click event fired immediately after click event.
-   * Signature:
-   * (event, markers) => void
-   * event: AMap MapsEvent object.
-   * markers: A list of markers that is clicked. Markers with the earlier position in the data array
-   * are positioned later in the click callback. This is because markers appear later in the data
-   * array are drawn later and has a higher priority when clicked.
-   */
-  onDoubleClick: PropTypes.func,
-  /**
-   * Callback fired when pointer leaves the element or one of its child elements (even if
-   * the pointer is still within the element).
-   * Signature:
-   * (event, markers) => void
-   * event: AMap MapsEvent object.
-   * markers: A list of markers that pointer overs. Markers with the earlier position in the data
-   * array are positioned later in the mouse over callback. This is because markers appear later
-   * in the data array are drawn later and has a higher priority when mouse over.
-   */
-  onMouseOut: PropTypes.func,
-  /**
-   * Callback fired when pointer moves onto the element or one of its child elements (even if
-   * the pointer is still within the element).
-   * Signature:
-   * (event, markers) => void
-   * event: AMap MapsEvent object.
-   * markers: A list of markers that pointer overs. Markers with the earlier position in the data
-   * array are positioned later in the mouse over callback. This is because markers appear later
-   * in the data array are drawn later and has a higher priority when mouse over.
-   */
-  onMouseOver: PropTypes.func,
-  /**
-   * Custom layer opacity.
-   * Default 1.
-   */
-  opacity: PropTypes.number,
-  /**
-   * Canvas height.
-   * Default 0.
-   */
-  width: PropTypes.number,
-  /**
-   * Custom layer zIndex.
-   * Default 12.
-   */
-  zIndex: PropTypes.number,
-  /**
-   * Custom layer visible zoom ranges.
-   * Default [3, 18]
-   */
-  zooms: PropTypes.arrayOf(PropTypes.number),
 };
 
 export default Marker;
@@ -0,0 +1,172 @@
+import Marker from '.';
+import StandaloneAdapter from '../adapters/Standalone';
+
+/**
+ * Renderer that memorises renderer props and completes every render at once.
+ */
+class StubRenderer {
+  config(props) {
+    this.props = props;
+  }
+
+  render() {
+    return Promise.resolve(this.props);
+  }
+}
+
+class StubMarker extends Marker {}
+
+StubMarker.Renderer = StubRenderer;
+
+describe('Marker clustering', () => {
+  let adapter;
+
+  beforeEach(() => {
+    /**
+     * jsdom does not implement canvas.
+     */
+    jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+      arc: jest.fn(),
+      beginPath: jest.fn(),
+      drawImage: jest.fn(),
+      fill: jest.fn(),
+      fillText: jest.fn(),
+      scale: jest.fn(),
+    });
+    jest.spyOn(window.HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:,');
+    adapter = new StandaloneAdapter({ height: 400, width: 400, zoom: 10 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('clusters markers close to each other on screen', () => {
+    const layer = new StubMarker({
+      adapter,
+      cluster: {},
+      data: [
+        { id: 1, location: [0, 0] },
+        { id: 2, location: [0.001, 0.001] },
+        { id: 3, location: [0.3, 0.3] },
+      ],
+    });
+    const { data } = layer.getRendererProps();
+
+    expect(data).toHaveLength(2);
+    expect(data[0]).toMatchObject({ count: 2, isCluster: true, location: [0.0005, 0.0005] });
+    expect(data[0].members.map(({ id }) => id)).toEqual([1, 2]);
+    expect(data[1]).toMatchObject({ id: 3, isCluster: false });
+  });
+
+  it('draws markers placed by position on their own among clustered markers', () => {
+    const layer = new StubMarker({
+      adapter,
+      cluster: { minCount: 1 },
+      data: [
+        { id: 1, location: [0, 0] },
+        { id: 2, position: [200, 200] },
+        { id: 3, location: [0.001, 0.001] },
+        { id: 4, position: [201, 201] },
+      ],
+    });
+    const { data } = layer.getRendererProps();
+
+    expect(data).toHaveLength(3);
+    expect(data[0]).toMatchObject({ count: 2, isCluster: true });
+    expect(data[1]).toMatchObject({ id: 2, isCluster: false, position: [200, 200] });
+    expect(data[2]).toMatchObject({ id: 4, isCluster: false, position: [201, 201] });
+  });
+});
+
+describe('Marker animation', () => {
+  let adapter;
+  let frames;
+
+  /**
+   * Run animation frames requested since the previous frame at the given timestamp, and let the
+   * renders they start settle.
+   */
+  const runFrame = (timestamp) => {
+    const requestedFrames = frames;
+    frames = [];
+    requestedFrames.forEach((callback) => callback(timestamp));
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  };
+
+  /**
+   * Return the marker of the given id that is drawn by the latest render.
+   */
+  const getDrawnMarker = (layer, id) => layer.renderer.props.data.find((item) => item.id === id);
+
+  beforeEach(() => {
+    frames = [];
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation((callback) => {
+      frames.push(callback);
+      return frames.length;
+    });
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {});
+    jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+      drawImage: jest.fn(),
+      scale: jest.fn(),
+    });
+    adapter = new StandaloneAdapter({ height: 400, width: 400, zoom: 10 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('tweens markers from their previous location to the new location', async () => {
+    const layer = new StubMarker({
+      adapter,
+      animation: { duration: 1000 },
+      data: [{ id: 1, location: [0, 0] }, { id: 2, location: [0.01, 0.01] }],
+    });
+
+    layer.render({
+      animation: { duration: 1000 },
+      data: [{ id: 1, location: [0.1, 0] }, { id: 2, location: [0.01, 0.01] }],
+    });
+    await runFrame(0);
+    await runFrame(500);
+    expect(layer.isAnimating).toBe(true);
+    expect(getDrawnMarker(layer, 1).location[0]).toBeCloseTo(0.05, 10);
+    expect(getDrawnMarker(layer, 1).position).toEqual(adapter.project([0.05, 0]));
+    expect(getDrawnMarker(layer, 2).location).toEqual([0.01, 0.01]);
+
+    await runFrame(1000);
+    expect(layer.isAnimating).toBe(false);
+    expect(getDrawnMarker(layer, 1).location).toEqual([0.1, 0]);
+  });
+
+  it('turns markers by the shortest angle if rotation is interpolated', async () => {
+    const animation = { duration: 1000, interpolateRotation: true };
+    const layer = new StubMarker({
+      adapter,
+      animation,
+      data: [{ id: 1, location: [0, 0], rotation: 0.1 }],
+    });
+
+    layer.render({ animation, data: [{ id: 1, location: [0, 0], rotation: Math.PI * 2 - 0.1 }] });
+    await runFrame(0);
+    await runFrame(500);
+    expect(getDrawnMarker(layer, 1).rotation).toBeCloseTo(0, 10);
+  });
+
+  it('tweens an updated marker from where it is displayed half way through a tween', async () => {
+    const animation = { duration: 1000 };
+    const layer = new StubMarker({ adapter, animation, data: [{ id: 1, location: [0, 0] }] });
+
+    layer.render({ animation, data: [{ id: 1, location: [0.1, 0] }] });
+    await runFrame(0);
+    await runFrame(500);
+    layer.update(1, { location: [0.1, 0.1] });
+    await runFrame(1000);
+    await runFrame(1500);
+
+    const { location } = getDrawnMarker(layer, 1);
+    expect(location[0]).toBeCloseTo(0.075, 10);
+    expect(location[1]).toBeCloseTo(0.05, 10);
+  });
+});
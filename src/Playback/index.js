@@ -0,0 +1,183 @@
+import PropTypes from 'prop-types';
+import isNullVoid from '../utils/isNullVoid';
+
+/**
+ * Milliseconds after which a frame that layers are still rendering is given up on, and replaced by
+ * the latest frame. Layer renders that never settle must not stall playback.
+ */
+const FRAME_TIMEOUT = 1000;
+
+/**
+ * Playback drives time of layers with requestAnimationFrame. Every frame, playback time advances
+ * by elapsed time multiplied by speed, and setTime of every layer is called with the new time.
+ * A frame is skipped for layers if they are still rendering the previous frame, so that
+ * renders never pile up on slow devices.
+ */
+class Playback {
+  constructor(props) {
+    const {
+      end,
+      layers = [],
+      loop = false,
+      onTick,
+      speed = 1,
+      start,
+    } = props;
+
+    this.end = end;
+    this.layers = layers;
+    this.loop = loop;
+    this.onTick = onTick;
+    this.speed = speed;
+    this.start = start;
+    this.time = start;
+    this.isPlaying = false;
+    /**
+     * The latest frame that layers are rendering, with its time and the time it started at.
+     */
+    this.pendingFrame = void 0;
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Stop playback and release animation frame.
+   */
+  destroy() {
+    this.pause();
+  }
+
+  /**
+   * Pause playback at the current time.
+   */
+  pause() {
+    this.isPlaying = false;
+    if (!isNullVoid(this.animationFrameId)) {
+      window.cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = void 0;
+    }
+  }
+
+  /**
+   * Start or resume playback from the current time. Playback restarts from start time if it has
+   * reached end time.
+   */
+  play() {
+    if (this.isPlaying) return;
+
+    if (this.time >= this.end) this.time = this.start;
+    this.isPlaying = true;
+    this.previousTimestamp = void 0;
+    this.animationFrameId = window.requestAnimationFrame(this.tick);
+  }
+
+  /**
+   * Render all layers at the current time, unless layers are still rendering the previous frame.
+   * A previous frame outstanding for longer than FRAME_TIMEOUT is replaced by this frame.
+   */
+  renderLayers() {
+    if (typeof this.onTick === 'function') {
+      this.onTick(this.time);
+    }
+
+    const now = Date.now();
+    const { pendingFrame } = this;
+    if (!isNullVoid(pendingFrame) && now - pendingFrame.startedAt < FRAME_TIMEOUT) return;
+
+    const frame = {
+      startedAt: now,
+      time: this.time,
+    };
+    this.pendingFrame = frame;
+    Promise.all(this.layers.map((layer) => layer.setTime(frame.time)))
+      .catch(() => {
+        /**
+         * A frame cancelled by a newer render is not an error.
+         */
+      })
+      .then(() => {
+        /**
+         * A replaced frame settling late leaves the latest frame in place.
+         */
+        if (this.pendingFrame !== frame) return;
+
+        this.pendingFrame = void 0;
+        /**
+         * Time changed by pause or seek while layers were rendering must not be lost. Playing
+         * playback catches up in the next frame.
+         */
+        if (!this.isPlaying && frame.time !== this.time) this.renderLayers();
+      });
+  }
+
+  /**
+   * Jump to the given time and render layers, regardless of whether playback is playing.
+   */
+  seek(time) {
+    this.time = Math.min(Math.max(time, this.start), this.end);
+    this.renderLayers();
+  }
+
+  /**
+   * Change playback speed. Speed is the amount of data time that elapses per millisecond.
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  tick(timestamp) {
+    if (!isNullVoid(this.previousTimestamp)) {
+      this.time += (timestamp - this.previousTimestamp) * this.speed;
+    }
+    this.previousTimestamp = timestamp;
+
+    if (this.time >= this.end) {
+      if (this.loop) {
+        this.time = this.start;
+      } else {
+        this.time = this.end;
+        this.renderLayers();
+        this.pause();
+        return;
+      }
+    }
+
+    this.renderLayers();
+    this.animationFrameId = window.requestAnimationFrame(this.tick);
+  }
+}
+
+Playback.propTypes = {
+  /**
+   * Playback end time, in the same unit as item timestamps.
+   */
+  end: PropTypes.number.isRequired,
+  /**
+   * Layers driven by playback. Layers must implement setTime function.
+   */
+  layers: PropTypes.arrayOf(PropTypes.shape({
+    setTime: PropTypes.func.isRequired,
+  })),
+  /**
+   * Restart from start time once end time is reached.
+   * Default false.
+   */
+  loop: PropTypes.bool,
+  /**
+   * Callback fired every frame with playback time.
+   * Signature:
+   * (time) => void
+   */
+  onTick: PropTypes.func,
+  /**
+   * Amount of data time that elapses per millisecond. i.e. 60 replays a minute per second if
+   * timestamps are in milliseconds.
+   * Default 1.
+   */
+  speed: PropTypes.number,
+  /**
+   * Playback start time, in the same unit as item timestamps.
+   */
+  start: PropTypes.number.isRequired,
+};
+
+export default Playback;
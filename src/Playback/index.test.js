@@ -0,0 +1,137 @@
+import Playback from '.';
+
+/**
+ * Layer whose setTime renders settle only when the test tells them to.
+ */
+class PendingLayer {
+  constructor() {
+    this.renders = [];
+    this.setTime = jest.fn((time) => new Promise((resolve) => {
+      this.renders.push({ resolve, time });
+    }));
+  }
+
+  resolveAll() {
+    this.renders.forEach(({ resolve }) => resolve());
+  }
+}
+
+/**
+ * Let pending promise callbacks run.
+ */
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('Playback frame scheduling', () => {
+  let frames;
+  let now;
+
+  /**
+   * Run the latest requested animation frame at the given timestamp.
+   */
+  const runFrame = (timestamp) => {
+    now = timestamp;
+    frames[frames.length - 1](timestamp);
+  };
+
+  beforeEach(() => {
+    frames = [];
+    now = 0;
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation((callback) => {
+      frames.push(callback);
+      return frames.length;
+    });
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {});
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('advances time by elapsed time multiplied by speed', async () => {
+    const layer = new PendingLayer();
+    const onTick = jest.fn();
+    const playback = new Playback({
+      end: 1000,
+      layers: [layer],
+      onTick,
+      speed: 2,
+      start: 0,
+    });
+
+    playback.play();
+    runFrame(100);
+    layer.resolveAll();
+    await flushPromises();
+    runFrame(150);
+
+    expect(onTick.mock.calls).toEqual([[0], [100]]);
+    expect(layer.setTime.mock.calls).toEqual([[0], [100]]);
+  });
+
+  it('skips frames while layers are rendering the previous frame', async () => {
+    const layer = new PendingLayer();
+    const playback = new Playback({ end: 1000, layers: [layer], start: 0 });
+
+    playback.play();
+    runFrame(0);
+    runFrame(10);
+    runFrame(20);
+    expect(layer.setTime.mock.calls).toEqual([[0]]);
+
+    layer.resolveAll();
+    await flushPromises();
+    runFrame(30);
+    expect(layer.setTime.mock.calls).toEqual([[0], [30]]);
+  });
+
+  it('replaces a frame outstanding for longer than a second', () => {
+    const layer = new PendingLayer();
+    const playback = new Playback({ end: 5000, layers: [layer], start: 0 });
+
+    playback.play();
+    runFrame(0);
+    runFrame(999);
+    expect(layer.setTime.mock.calls).toEqual([[0]]);
+
+    runFrame(1000);
+    expect(layer.setTime.mock.calls).toEqual([[0], [1000]]);
+  });
+
+  it('renders the latest time once layers settle, if time is sought while paused', async () => {
+    const layer = new PendingLayer();
+    const playback = new Playback({ end: 1000, layers: [layer], start: 0 });
+
+    playback.seek(100);
+    playback.seek(200);
+    playback.seek(300);
+    expect(layer.setTime.mock.calls).toEqual([[100]]);
+
+    layer.resolveAll();
+    await flushPromises();
+    expect(layer.setTime.mock.calls).toEqual([[100], [300]]);
+  });
+
+  it('stops at end time, or restarts from start time if looping', () => {
+    const layer = new PendingLayer();
+    const playback = new Playback({ end: 100, layers: [layer], start: 0 });
+    const loopingPlayback = new Playback({
+      end: 100,
+      layers: [new PendingLayer()],
+      loop: true,
+      start: 0,
+    });
+
+    playback.play();
+    runFrame(0);
+    runFrame(2000);
+    expect(playback.time).toBe(100);
+    expect(playback.isPlaying).toBe(false);
+
+    loopingPlayback.play();
+    runFrame(0);
+    runFrame(2000);
+    expect(loopingPlayback.time).toBe(0);
+    expect(loopingPlayback.isPlaying).toBe(true);
+  });
+});
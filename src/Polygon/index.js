@@ -0,0 +1,99 @@
+import PropTypes from 'prop-types';
+import BaseLayer from '../BaseLayer';
+import CanvasPolygon from '../renderers/Polygon';
+import getCoordinatesBounds from '../utils/getCoordinatesBounds';
+import toMultiPolygon from '../utils/toMultiPolygon';
+
+class Polygon extends BaseLayer {
+  /**
+   * Holes are within outer rings, therefore bounding box is derived from outer rings only.
+   */
+  static getItemBounds({ path }) {
+    const outerRingCoordinates = [];
+    toMultiPolygon(path).forEach(([outerRing = []]) => {
+      outerRing.forEach((coordinates) => outerRingCoordinates.push(coordinates));
+    });
+
+    return getCoordinatesBounds(outerRingCoordinates);
+  }
+
+  /**
+   * Transform lng lat coordinates to canvas coordinates.
+   */
+  projectItem({ borderColor, borderWidth, color, opacity, path }) {
+    return {
+      borderColor,
+      borderWidth,
+      color,
+      opacity,
+      path: toMultiPolygon(path).map((polygon) => {
+        return polygon.map((ring) => this.projectPath(ring));
+      }),
+    };
+  }
+}
+
+/**
+ * Canvas component that draws polygons.
+ */
+Polygon.Renderer = CanvasPolygon;
+
+/**
+ * Item properties that hold lng lat coordinates.
+ */
+Polygon.coordinateFields = ['path'];
+
+/**
+ * Renderer projects items right before each of them renders.
+ */
+Polygon.deferProjection = true;
+
+const coordinatesPropType = PropTypes.oneOfType([
+  PropTypes.arrayOf(PropTypes.number),
+  PropTypes.shape({
+    lat: PropTypes.number,
+    lng: PropTypes.number,
+  }),
+]);
+
+Polygon.propTypes = {
+  ...BaseLayer.propTypes,
+  /**
+   * A list of polygons.
+   */
+  data: PropTypes.arrayOf(PropTypes.shape({
+    /**
+     * Polygon border colour.
+     * Default no border.
+     */
+    borderColor: PropTypes.string,
+    /**
+     * Polygon border width.
+     * Default 1.
+     */
+    borderWidth: PropTypes.number,
+    /**
+     * Polygon fill colour.
+     * Default black.
+     */
+    color: PropTypes.string,
+    /**
+     * Polygon opacity, applied to both fill and border.
+     * Default 1.
+     */
+    opacity: PropTypes.number,
+    /**
+     * Polygon path. Coordinates are either [lng, lat] or {lng, lat}. Supports:
+     * 1. A single ring. i.e. [[lng, lat], [lng, lat], [lng, lat]]
+     * 2. A polygon with holes, outer ring first followed by holes. i.e. [outerRing, hole, hole]
+     * 3. A multipolygon, which is a list of polygons with holes. i.e. [[outerRing, hole], ...]
+     */
+    path: PropTypes.oneOfType([
+      PropTypes.arrayOf(coordinatesPropType),
+      PropTypes.arrayOf(PropTypes.arrayOf(coordinatesPropType)),
+      PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.arrayOf(coordinatesPropType))),
+    ]).isRequired,
+  })),
+};
+
+export default Polygon;
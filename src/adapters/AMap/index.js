@@ -0,0 +1,153 @@
+/**
+ * Map adapter puts map provider calls behind a common interface, so that layers are not tied to
+ * a map provider. An adapter implements:
+ * 1. getBounds(): Return lng lat bounding box of map container [minLng, minLat, maxLng, maxLat].
+ * 2. getCenter(): Return map centre [lng, lat].
+ * 3. getPitch() and getRotation(): Return map pitch and rotation in degrees.
+ * 4. getSize(): Return map container size { height, width } in pixel.
+ * 5. getZoom(): Return map zoom.
+ * 6. mount(canvas, { opacity, render, zIndex, zooms }): Display canvas on map, and call render
+ * every time canvas needs update, such as after drag and zoom. Return an unmount function.
+ * 7. on(eventName, handler, context) and off(eventName, handler, context): Subscribe and
+ * unsubscribe click, dblclick, mousemove, mapmove, dragstart, dragend, touchstart and touchend
+ * events.
+ * Pointer event object has pixel property { x, y }, which is pointer position in map container.
+ * 8. project(coordinates): Transform lng lat coordinates to container coordinates [x, y].
+ * 9. setCursor(cursor): Change map cursor. Undefined cursor restores the default cursor.
+ * 10. unproject([x, y]): Transform container coordinates to lng lat coordinates [lng, lat].
+ * 11. watchSize(callback): Call callback with container size { height, width } every time map
+ * container is resized. Return an unwatch function. It is optional, layers without it keep their
+ * size until they are rendered again.
+ *
+ * AMapAdapter implements the interface with AMap.
+ */
+class AMapAdapter {
+  /**
+   * Transform lng lat coordinates to container coordinates with the given AMap instance.
+   */
+  static lngLatToContainer(map, coordinates) {
+    /**
+     * Compatible with object coordinates and array coordinates.
+     */
+    let { lng, lat } = coordinates;
+    if (coordinates instanceof Array) {
+      [lng, lat] = coordinates;
+    }
+    /**
+     * AMap.LngLat fix lng lat coordinates errors.
+     */
+    const lngLat = new window.AMap.LngLat(lng, lat);
+    const { x, y } = map.lngLatToContainer(lngLat);
+    return [x, y];
+  }
+
+  constructor(map) {
+    /**
+     * AMap instance.
+     */
+    this.map = map;
+  }
+
+  getBounds() {
+    const bounds = this.map.getBounds();
+    const southWest = bounds.getSouthWest();
+    const northEast = bounds.getNorthEast();
+
+    return [southWest.getLng(), southWest.getLat(), northEast.getLng(), northEast.getLat()];
+  }
+
+  getCenter() {
+    const center = this.map.getCenter();
+
+    return [center.getLng(), center.getLat()];
+  }
+
+  getPitch() {
+    return typeof this.map.getPitch === 'function' ? this.map.getPitch() : 0;
+  }
+
+  getRotation() {
+    return typeof this.map.getRotation === 'function' ? this.map.getRotation() : 0;
+  }
+
+  getSize() {
+    const size = this.map.getSize();
+
+    return {
+      height: size.getHeight(),
+      width: size.getWidth(),
+    };
+  }
+
+  getZoom() {
+    return this.map.getZoom();
+  }
+
+  /**
+   * Display canvas with AMap custom layer.
+   */
+  mount(canvas, { opacity, render, zIndex, zooms }) {
+    let customLayer;
+    let isUnmounted = false;
+
+    window.AMap.plugin('AMap.CustomLayer', () => {
+      /**
+       * In case of canvas is unmounted before AMap.CustomLayer has loaded.
+       */
+      if (isUnmounted) return;
+
+      customLayer = new window.AMap.CustomLayer(canvas, {
+        map: this.map,
+        opacity,
+        zIndex,
+        zooms,
+      });
+      /**
+       * Assign custom layer's render function so that this function will be called every time
+       * canvas needs update.
+       */
+      customLayer.render = render;
+    });
+
+    return () => {
+      isUnmounted = true;
+      if (customLayer) customLayer.setMap(null);
+    };
+  }
+
+  off(eventName, handler, context) {
+    this.map.off(eventName, handler, context);
+  }
+
+  on(eventName, handler, context) {
+    this.map.on(eventName, handler, context);
+  }
+
+  project(coordinates) {
+    return AMapAdapter.lngLatToContainer(this.map, coordinates);
+  }
+
+  setCursor(cursor) {
+    this.map.setDefaultCursor(cursor);
+  }
+
+  unproject([x, y]) {
+    const lngLat = this.map.containerToLngLat(new window.AMap.Pixel(x, y));
+
+    return [lngLat.getLng(), lngLat.getLat()];
+  }
+
+  /**
+   * AMap resizes itself and fires resize event only if map is created with resizeEnable option.
+   * Layers follow map rather than container, so that they never disagree with base map.
+   */
+  watchSize(callback) {
+    const handleResize = () => callback(this.getSize());
+
+    this.map.on('resize', handleResize);
+
+    return () => this.map.off('resize', handleResize);
+  }
+}
+
+export default AMapAdapter;
@@ -0,0 +1,408 @@
+import PropTypes from 'prop-types';
+import isNullVoid from '../../utils/isNullVoid';
+import lngLatToWorld from '../../utils/lngLatToWorld';
+
+/**
+ * StandaloneAdapter implements map adapter interface with its own Web Mercator viewport, therefore
+ * layers work without any map provider. See AMapAdapter for the interface.
+ * With a container element, canvases are stacked in the container, and the viewport is dragged
+ * by mouse and zoomed by mouse wheel. Without a container, the adapter is headless: view changes
+ * only by setView, and events are fired by emit, which is useful for tests.
+ */
+class StandaloneAdapter {
+  /**
+   * Transform Web Mercator world pixel coordinates at the given zoom to lng lat coordinates.
+   */
+  static worldToLngLat([x, y], zoom) {
+    const worldSize = 256 * (2 ** zoom);
+    const lng = (x / worldSize) * 360 - 180;
+    const lat = (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / worldSize))) * 180) / Math.PI;
+
+    return [lng, lat];
+  }
+
+  constructor(props = {}) {
+    const {
+      center = [0, 0],
+      container,
+      height = 0,
+      width = 0,
+      zoom = 3,
+      zooms = [3, 18],
+    } = props;
+
+    this.center = center;
+    this.container = container;
+    this.height = height;
+    this.width = width;
+    this.zoom = zoom;
+    this.zooms = zooms;
+    /**
+     * Standalone viewport is always flat and north up.
+     */
+    this.pitch = 0;
+    this.rotation = 0;
+    /**
+     * Event handlers keyed by event name.
+     */
+    this.handlers = {};
+    /**
+     * Mounted canvases and their options.
+     */
+    this.mounts = [];
+    /**
+     * Size watchers, which are called with viewport size once it changes.
+     */
+    this.sizeWatchers = [];
+
+    if (!isNullVoid(this.container)) {
+      this.handleMouseDown = this.handleMouseDown.bind(this);
+      this.handleMouseMove = this.handleMouseMove.bind(this);
+      this.handleMouseUp = this.handleMouseUp.bind(this);
+      this.handleWheel = this.handleWheel.bind(this);
+      this.emitDomEvent = this.emitDomEvent.bind(this);
+
+      this.container.style.overflow = 'hidden';
+      if (this.container.style.position === '') this.container.style.position = 'relative';
+      this.container.addEventListener('click', this.emitDomEvent);
+      this.container.addEventListener('dblclick', this.emitDomEvent);
+      this.container.addEventListener('mousedown', this.handleMouseDown);
+      this.container.addEventListener('mousemove', this.handleMouseMove);
+      this.container.addEventListener('wheel', this.handleWheel);
+      window.addEventListener('mouseup', this.handleMouseUp);
+    }
+  }
+
+  /**
+   * Remove DOM event listeners and mounted canvases.
+   */
+  destroy() {
+    this.mounts.forEach(({ canvas }) => {
+      if (canvas.parentNode) canvas.parentNode.removeChild(canvas);
+    });
+    this.mounts = [];
+
+    if (!isNullVoid(this.resizeObserver)) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = void 0;
+    }
+    this.sizeWatchers = [];
+
+    if (!isNullVoid(this.container)) {
+      this.container.removeEventListener('click', this.emitDomEvent);
+      this.container.removeEventListener('dblclick', this.emitDomEvent);
+      this.container.removeEventListener('mousedown', this.handleMouseDown);
+      this.container.removeEventListener('mousemove', this.handleMouseMove);
+      this.container.removeEventListener('wheel', this.handleWheel);
+      window.removeEventListener('mouseup', this.handleMouseUp);
+    }
+  }
+
+  /**
+   * Call handlers of the given event name with the given event.
+   */
+  emit(eventName, event) {
+    (this.handlers[eventName] || []).forEach(({ context, handler }) => {
+      handler.call(context, event);
+    });
+  }
+
+  /**
+   * Fire a DOM event as a map event, whose pixel is pointer position in container.
+   */
+  emitDomEvent(domEvent) {
+    this.emit(domEvent.type, this.getMapEvent(domEvent));
+  }
+
+  getBounds() {
+    const { height, width } = this.getSize();
+    const [west, north] = this.unproject([0, 0]);
+    const [east, south] = this.unproject([width, height]);
+
+    return [west, south, east, north];
+  }
+
+  getCenter() {
+    return this.center;
+  }
+
+  /**
+   * Return map event of a DOM mouse event.
+   */
+  getMapEvent(domEvent) {
+    const { left, top } = this.container.getBoundingClientRect();
+    const pixel = {
+      x: domEvent.clientX - left,
+      y: domEvent.clientY - top,
+    };
+
+    return {
+      lnglat: this.unproject([pixel.x, pixel.y]),
+      originEvent: domEvent,
+      pixel,
+      type: domEvent.type,
+    };
+  }
+
+  getPitch() {
+    return this.pitch;
+  }
+
+  getRotation() {
+    return this.rotation;
+  }
+
+  /**
+   * Container size is used if size is not given.
+   */
+  getSize() {
+    if (!isNullVoid(this.container) && (this.width === 0 || this.height === 0)) {
+      return {
+        height: this.container.clientHeight,
+        width: this.container.clientWidth,
+      };
+    }
+
+    return {
+      height: this.height,
+      width: this.width,
+    };
+  }
+
+  getZoom() {
+    return this.zoom;
+  }
+
+  /**
+   * Start dragging viewport.
+   */
+  handleMouseDown(domEvent) {
+    this.dragOrigin = [domEvent.clientX, domEvent.clientY];
+    this.isDragging = false;
+  }
+
+  /**
+   * Pan viewport while dragging, otherwise fire mousemove event.
+   */
+  handleMouseMove(domEvent) {
+    if (isNullVoid(this.dragOrigin)) {
+      this.emitDomEvent(domEvent);
+      return;
+    }
+
+    if (!this.isDragging) {
+      this.isDragging = true;
+      this.emit('dragstart', this.getMapEvent(domEvent));
+    }
+
+    const [originX, originY] = this.dragOrigin;
+    const { height, width } = this.getSize();
+    this.dragOrigin = [domEvent.clientX, domEvent.clientY];
+    this.center = this.unproject([
+      width / 2 - (domEvent.clientX - originX),
+      height / 2 - (domEvent.clientY - originY),
+    ]);
+    /**
+     * Move canvases with pointer, so that they follow drag before they render again.
+     */
+    this.mounts.forEach(({ canvas }) => {
+      const left = parseFloat(canvas.style.left) || 0;
+      const top = parseFloat(canvas.style.top) || 0;
+      canvas.style.left = `${left + domEvent.clientX - originX}px`;
+      canvas.style.top = `${top + domEvent.clientY - originY}px`;
+    });
+    this.emit('mapmove', this.getMapEvent(domEvent));
+  }
+
+  /**
+   * Finish dragging viewport, and render at the new centre.
+   */
+  handleMouseUp(domEvent) {
+    if (isNullVoid(this.dragOrigin)) return;
+
+    const isDragging = this.isDragging;
+    this.dragOrigin = void 0;
+    this.isDragging = false;
+
+    if (isDragging) {
+      this.emit('dragend', this.getMapEvent(domEvent));
+      this.renderAll();
+    }
+  }
+
+  /**
+   * Zoom in or out by one level.
+   */
+  handleWheel(domEvent) {
+    domEvent.preventDefault();
+    this.setView({
+      zoom: this.zoom + (domEvent.deltaY < 0 ? 1 : -1),
+    });
+  }
+
+  /**
+   * Display canvas in container, and render it at the current view.
+   */
+  mount(canvas, { opacity = 1, render, zIndex = 12, zooms = [3, 18] }) {
+    const mounted = { canvas, render, zooms };
+
+    canvas.style.opacity = opacity;
+    canvas.style.position = 'absolute';
+    canvas.style.zIndex = zIndex;
+    if (!isNullVoid(this.container)) this.container.appendChild(canvas);
+    this.mounts.push(mounted);
+    this.renderMounted(mounted);
+
+    return () => {
+      this.mounts = this.mounts.filter((eachMounted) => eachMounted !== mounted);
+      if (canvas.parentNode) canvas.parentNode.removeChild(canvas);
+    };
+  }
+
+  /**
+   * Call size watchers with viewport size.
+   */
+  notifySize() {
+    const size = this.getSize();
+
+    this.sizeWatchers.forEach((callback) => callback(size));
+  }
+
+  off(eventName, handler, context) {
+    this.handlers[eventName] = (this.handlers[eventName] || []).filter((subscription) => {
+      return subscription.handler !== handler || subscription.context !== context;
+    });
+  }
+
+  on(eventName, handler, context) {
+    this.handlers[eventName] = [...(this.handlers[eventName] || []), { context, handler }];
+  }
+
+  project(coordinates) {
+    let { lng, lat } = coordinates;
+    if (coordinates instanceof Array) {
+      [lng, lat] = coordinates;
+    }
+
+    const { height, width } = this.getSize();
+    const [x, y] = lngLatToWorld(lng, lat, this.zoom);
+    const [centerX, centerY] = lngLatToWorld(this.center[0], this.center[1], this.zoom);
+
+    return [x - centerX + width / 2, y - centerY + height / 2];
+  }
+
+  /**
+   * Render all mounted canvases at the current view.
+   */
+  renderAll() {
+    this.mounts.forEach((mounted) => this.renderMounted(mounted));
+  }
+
+  /**
+   * Render a mounted canvas. Canvas is hidden if zoom is out of its visible zoom range.
+   */
+  renderMounted({ canvas, render, zooms: [minZoom, maxZoom] }) {
+    canvas.style.left = '0px';
+    canvas.style.top = '0px';
+
+    if (this.zoom < minZoom || this.zoom > maxZoom) {
+      canvas.style.display = 'none';
+      return;
+    }
+
+    canvas.style.display = '';
+    render();
+  }
+
+  setCursor(cursor) {
+    if (!isNullVoid(this.container)) this.container.style.cursor = isNullVoid(cursor) ? '' : cursor;
+  }
+
+  /**
+   * Change map centre, zoom or size, and render all mounted canvases.
+   */
+  setView({
+    center = this.center,
+    height = this.height,
+    width = this.width,
+    zoom = this.zoom,
+  }) {
+    const [minZoom, maxZoom] = this.zooms;
+    const isResized = height !== this.height || width !== this.width;
+
+    this.center = center;
+    this.height = height;
+    this.width = width;
+    this.zoom = Math.min(Math.max(zoom, minZoom), maxZoom);
+    this.emit('mapmove', {});
+    if (isResized) this.notifySize();
+    this.renderAll();
+  }
+
+  unproject([x, y]) {
+    const { height, width } = this.getSize();
+    const [centerX, centerY] = lngLatToWorld(this.center[0], this.center[1], this.zoom);
+
+    return StandaloneAdapter.worldToLngLat(
+      [x - width / 2 + centerX, y - height / 2 + centerY],
+      this.zoom,
+    );
+  }
+
+  /**
+   * Viewport is resized by setView, or by container resize if viewport size follows container.
+   * Container is watched with ResizeObserver if the browser supports it.
+   */
+  watchSize(callback) {
+    this.sizeWatchers = [...this.sizeWatchers, callback];
+
+    if (
+      isNullVoid(this.resizeObserver)
+      && !isNullVoid(this.container)
+      && typeof window.ResizeObserver === 'function'
+    ) {
+      this.resizeObserver = new window.ResizeObserver(() => {
+        if (this.width === 0 || this.height === 0) this.notifySize();
+      });
+      this.resizeObserver.observe(this.container);
+    }
+
+    return () => {
+      this.sizeWatchers = this.sizeWatchers.filter((watcher) => watcher !== callback);
+    };
+  }
+}
+
+StandaloneAdapter.propTypes = {
+  /**
+   * Map centre. i.e. [lng, lat].
+   * Default [0, 0].
+   */
+  center: PropTypes.arrayOf(PropTypes.number),
+  /**
+   * Element that canvases are stacked in. Without container, the adapter is headless.
+   */
+  container: PropTypes.object,
+  /**
+   * Viewport height in pixel.
+   * Default container height, or 0 if headless.
+   */
+  height: PropTypes.number,
+  /**
+   * Viewport width in pixel.
+   * Default container width, or 0 if headless.
+   */
+  width: PropTypes.number,
+  /**
+   * Map zoom.
+   * Default 3.
+   */
+  zoom: PropTypes.number,
+  /**
+   * Zoom range of viewport.
+   * Default [3, 18].
+   */
+  zooms: PropTypes.arrayOf(PropTypes.number),
+};
+
+export default StandaloneAdapter;
@@ -0,0 +1,53 @@
+import StandaloneAdapter from '.';
+
+describe('StandaloneAdapter', () => {
+  it('projects map centre to viewport centre', () => {
+    const adapter = new StandaloneAdapter({
+      center: [120, 30],
+      height: 300,
+      width: 400,
+      zoom: 10,
+    });
+
+    expect(adapter.project([120, 30])).toEqual([200, 150]);
+    expect(adapter.project({ lat: 30, lng: 120 })).toEqual([200, 150]);
+  });
+
+  it('unprojects projected coordinates back to lng lat', () => {
+    const adapter = new StandaloneAdapter({
+      center: [120, 30],
+      height: 300,
+      width: 400,
+      zoom: 10,
+    });
+    const [lng, lat] = adapter.unproject(adapter.project([120.1, 29.95]));
+
+    expect(lng).toBeCloseTo(120.1, 10);
+    expect(lat).toBeCloseTo(29.95, 10);
+  });
+
+  it('doubles pixel distance every zoom level', () => {
+    const adapter = new StandaloneAdapter({ height: 100, width: 100, zoom: 4 });
+    const [x4] = adapter.project([10, 0]);
+    adapter.setView({ zoom: 5 });
+    const [x5] = adapter.project([10, 0]);
+
+    expect(x5 - 50).toBeCloseTo((x4 - 50) * 2, 10);
+  });
+
+  it('clamps zoom to zooms, and notifies handlers and size watchers', () => {
+    const adapter = new StandaloneAdapter({ height: 100, width: 100, zooms: [3, 10] });
+    const handleMapMove = jest.fn();
+    const handleResize = jest.fn();
+    adapter.on('mapmove', handleMapMove);
+    adapter.watchSize(handleResize);
+
+    adapter.setView({ zoom: 20 });
+    expect(adapter.getZoom()).toBe(10);
+    expect(handleMapMove).toHaveBeenCalledTimes(1);
+    expect(handleResize).not.toHaveBeenCalled();
+
+    adapter.setView({ height: 200 });
+    expect(handleResize).toHaveBeenCalledWith({ height: 200, width: 100 });
+  });
+});
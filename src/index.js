@@ -1,4 +1,19 @@
+export { default as AMapAdapter } from './adapters/AMap';
+export { default as BaseLayer } from './BaseLayer';
+export { default as Circle } from './Circle';
+export { default as GeoJSONLayer } from './GeoJSONLayer';
 export { default as Grid } from './Grid';
+export { default as Heatmap } from './Heatmap';
 export { default as Line } from './Line';
 export { default as Marker } from './Marker';
+export { default as Playback } from './Playback';
+export { default as Polygon } from './Polygon';
+export { default as StandaloneAdapter } from './adapters/Standalone';
 export { default as Text } from './Text';
+export {
+  bd09ToGcj02,
+  default as convertCoordinates,
+  wgs84ToGcj02,
+} from './utils/convertCoordinates';
+export { default as exportLayers } from './utils/exportLayers';
+export { default as fromGeoJSON } from './utils/fromGeoJSON';
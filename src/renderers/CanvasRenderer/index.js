@@ -0,0 +1,42 @@
+import { Scheduler } from '2drender';
+import isNullVoid from '../../utils/isNullVoid';
+
+/**
+ * Base class of canvas renderers, which draw items with 2drender scheduler. It shares the same
+ * interface with 2drender components. A renderer extends CanvasRenderer and implements render
+ * and findByPosition functions.
+ */
+class CanvasRenderer {
+  constructor(props = {}) {
+    this.config(props);
+    this.scheduler = new Scheduler();
+  }
+
+  /**
+   * Resize canvas to CSS size multiplied by dpr, and memorise items. Nothing changes until
+   * canvas and its CSS size are given.
+   */
+  config(props) {
+    const {
+      canvas,
+      data = [],
+      dpr = 1,
+      getSnapshotBeforeRender,
+      height,
+      width,
+    } = props;
+
+    if (isNullVoid(canvas) || isNullVoid(height) || isNullVoid(width)) return;
+
+    this.canvas = canvas;
+    this.dpr = dpr;
+    this.ctx = canvas.getContext('2d');
+    canvas.height = height * this.dpr;
+    canvas.width = width * this.dpr;
+    this.ctx.scale(this.dpr, this.dpr);
+    this.data = data;
+    this.getSnapshotBeforeRender = getSnapshotBeforeRender;
+  }
+}
+
+export default CanvasRenderer;
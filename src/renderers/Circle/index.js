@@ -0,0 +1,105 @@
+import PropTypes from 'prop-types';
+import CanvasRenderer from '../CanvasRenderer';
+import isNullVoid from '../../utils/isNullVoid';
+
+/**
+ * Canvas circle renderer. It shares the same interface with 2drender components.
+ */
+class Circle extends CanvasRenderer {
+  static render(circleObject, ctx, borderColor, borderWidth, color, opacity, position, radius) {
+    const renderProps = {
+      borderColor,
+      borderWidth,
+      color,
+      opacity,
+      position: [Math.round(position[0]), Math.round(position[1])],
+      radius,
+    };
+    circleObject.renderProps = renderProps;
+
+    if (renderProps.radius <= 0) return;
+
+    ctx.save();
+    ctx.globalAlpha = renderProps.opacity;
+    ctx.beginPath();
+    ctx.arc(renderProps.position[0], renderProps.position[1], renderProps.radius, 0, Math.PI * 2);
+    if (!isNullVoid(renderProps.color)) {
+      ctx.fillStyle = renderProps.color;
+      ctx.fill();
+    }
+    if (!isNullVoid(renderProps.borderColor) && renderProps.borderWidth > 0) {
+      ctx.strokeStyle = renderProps.borderColor;
+      ctx.lineWidth = renderProps.borderWidth;
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  findByPosition({ x, y }) {
+    return this.data.filter(({ renderProps }) => {
+      if (isNullVoid(renderProps)) return false;
+
+      const { position, radius } = renderProps;
+
+      return (x - position[0]) ** 2 + (y - position[1]) ** 2 <= radius ** 2;
+    }).map(({ renderProps, ...other }) => {
+      return other;
+    });
+  }
+
+  render() {
+    return this.scheduler.execute(this.data, (eachCircle) => {
+      let {
+        borderColor,
+        borderWidth,
+        color,
+        opacity,
+        position,
+        radius,
+      } = eachCircle;
+
+      if (this.getSnapshotBeforeRender) {
+        const snapshot = this.getSnapshotBeforeRender(eachCircle);
+        borderColor = snapshot.borderColor;
+        borderWidth = snapshot.borderWidth;
+        color = snapshot.color;
+        opacity = snapshot.opacity;
+        position = snapshot.position;
+        radius = snapshot.radius;
+      }
+
+      if (isNullVoid(borderWidth)) borderWidth = 1;
+      if (isNullVoid(color)) color = 'black';
+      if (isNullVoid(opacity)) opacity = 1;
+      if (isNullVoid(radius)) radius = 0;
+
+      Circle.render(
+        eachCircle, this.ctx, borderColor, borderWidth, color, opacity, position, radius,
+      );
+    });
+  }
+}
+
+Circle.propTypes = {
+  canvas: PropTypes.object.isRequired,
+  data: PropTypes.arrayOf(PropTypes.shape({
+    borderColor: PropTypes.string,
+    borderWidth: PropTypes.number,
+    color: PropTypes.string,
+    opacity: PropTypes.number,
+    /**
+     * Circle centre in canvas cartesian coordinate system. i.e. [x, y].
+     */
+    position: PropTypes.arrayOf(PropTypes.number).isRequired,
+    /**
+     * Circle radius in pixel.
+     */
+    radius: PropTypes.number,
+  })),
+  dpr: PropTypes.number,
+  getSnapshotBeforeRender: PropTypes.func,
+  height: PropTypes.number.isRequired,
+  width: PropTypes.number.isRequired,
+};
+
+export default Circle;
@@ -0,0 +1,295 @@
+import PropTypes from 'prop-types';
+import CanvasRenderer from '../CanvasRenderer';
+import isNullVoid from '../../utils/isNullVoid';
+
+/**
+ * Canvas heatmap renderer. It shares the same interface with 2drender components.
+ * Heatmap is drawn in two passes:
+ * 1. Every point draws a blurred alpha stamp on an off-screen canvas. Stamps are added up into an
+ * intensity image, where alpha channel represents intensity, which is aggregated weight relative
+ * to max.
+ * 2. Intensity image is colourised by looking up each pixel's alpha in the gradient palette, and
+ * only the colourised image is put on canvas.
+ */
+class Heatmap extends CanvasRenderer {
+  /**
+   * Create a blurred circle whose alpha fades from the solid inner circle to transparent edge.
+   * Stamp is drawn at device pixel resolution.
+   */
+  static createStamp(blur, dpr, radius) {
+    const canvas = window.document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.height = radius * 2 * dpr;
+    canvas.width = radius * 2 * dpr;
+    ctx.scale(dpr, dpr);
+
+    const gradient = ctx.createRadialGradient(
+      radius, radius, radius * (1 - blur), radius, radius, radius,
+    );
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, radius * 2, radius * 2);
+
+    return canvas;
+  }
+
+  /**
+   * Return the fraction of point weight that a stamp contributes at the given distance from its
+   * centre. It matches the stamp gradient, which is solid in the inner circle and fades linearly
+   * to the edge.
+   */
+  static getFalloff(blur, radius, distance) {
+    const innerRadius = radius * (1 - blur);
+
+    if (distance >= radius) return 0;
+    if (distance <= innerRadius) return 1;
+    return (radius - distance) / (radius - innerRadius);
+  }
+
+  /**
+   * Return the peak aggregated weight within canvas of the given CSS size. Intensity is
+   * accumulated in floating point, so that it never saturates, and sampled on a grid whose
+   * spacing is a sixth of radius.
+   */
+  static getPeakIntensity(points, blur, height, radius, width) {
+    const spacing = Math.max(radius / 6, 1);
+    const columns = Math.ceil(width / spacing);
+    const rows = Math.ceil(height / spacing);
+    const intensities = new Float32Array(columns * rows);
+    let peak = 0;
+
+    points.forEach(({ position: [x, y], weight }) => {
+      if (weight <= 0) return;
+
+      /**
+       * Samples are taken at cell centres, which are within radius of the point.
+       */
+      const column0 = Math.max(Math.ceil((x - radius) / spacing - 0.5), 0);
+      const column1 = Math.min(Math.floor((x + radius) / spacing - 0.5), columns - 1);
+      const row0 = Math.max(Math.ceil((y - radius) / spacing - 0.5), 0);
+      const row1 = Math.min(Math.floor((y + radius) / spacing - 0.5), rows - 1);
+
+      for (let row = row0; row <= row1; row += 1) {
+        for (let column = column0; column <= column1; column += 1) {
+          const distance = Math.sqrt(
+            ((column + 0.5) * spacing - x) ** 2 + ((row + 0.5) * spacing - y) ** 2,
+          );
+          const index = row * columns + column;
+
+          intensities[index] += weight * Heatmap.getFalloff(blur, radius, distance);
+          peak = Math.max(peak, intensities[index]);
+        }
+      }
+    });
+
+    return peak;
+  }
+
+  /**
+   * Create a 256 colours palette from gradient colour stops. i.e. { 0.4: 'blue', 1: 'red' }.
+   * Palette is a flat RGBA array where colour at intensity i starts from index i * 4.
+   */
+  static createPalette(gradient) {
+    const canvas = window.document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.height = 1;
+    canvas.width = 256;
+
+    const linearGradient = ctx.createLinearGradient(0, 0, 256, 0);
+    Object.keys(gradient).forEach((stop) => {
+      linearGradient.addColorStop(Number(stop), gradient[stop]);
+    });
+    ctx.fillStyle = linearGradient;
+    ctx.fillRect(0, 0, 256, 1);
+
+    return ctx.getImageData(0, 0, 256, 1).data;
+  }
+
+  static render(ctx, max, point, stamp, radius) {
+    const { position, weight } = point;
+
+    if (weight <= 0) return;
+
+    ctx.save();
+    /**
+     * Overlapping stamps add up their alpha, so that intensity is aggregated weight.
+     */
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalAlpha = Math.min(weight / max, 1);
+    ctx.drawImage(stamp, position[0] - radius, position[1] - radius, radius * 2, radius * 2);
+    ctx.restore();
+  }
+
+  config(props) {
+    const {
+      blur = 0.85,
+      canvas,
+      dpr = 1,
+      gradient = Heatmap.defaultGradient,
+      height,
+      max,
+      radius = 25,
+      width,
+    } = props;
+
+    if (isNullVoid(canvas) || isNullVoid(height) || isNullVoid(width)) return;
+
+    super.config(props);
+    this.height = height;
+    this.max = max;
+    this.radius = radius;
+    this.width = width;
+    /**
+     * Stamps are added up off-screen, so that canvas never shows uncolourised stamps.
+     */
+    if (isNullVoid(this.intensityCanvas)) {
+      this.intensityCanvas = window.document.createElement('canvas');
+      this.intensityCtx = this.intensityCanvas.getContext('2d');
+    }
+    this.intensityCanvas.height = canvas.height;
+    this.intensityCanvas.width = canvas.width;
+    this.intensityCtx.scale(dpr, dpr);
+    /**
+     * Stamp and palette are expensive to create. Recreate only if their inputs change.
+     */
+    if (blur !== this.blur || dpr !== this.stampDPR || radius !== this.stampRadius) {
+      this.blur = blur;
+      this.stampDPR = dpr;
+      this.stampRadius = radius;
+      this.stamp = Heatmap.createStamp(blur, dpr, radius);
+    }
+    if (gradient !== this.gradient) {
+      this.gradient = gradient;
+      this.palette = Heatmap.createPalette(gradient);
+    }
+  }
+
+  /**
+   * Colourise intensity image with palette, and put the colourised image on canvas.
+   */
+  colourise() {
+    const { height, width } = this.canvas;
+    if (height === 0 || width === 0) return;
+
+    const image = this.intensityCtx.getImageData(0, 0, width, height);
+    const pixels = image.data;
+
+    for (let i = 0; i < width * height; i += 1) {
+      const alpha = pixels[i * 4 + 3];
+
+      if (alpha !== 0) {
+        pixels[i * 4] = this.palette[alpha * 4];
+        pixels[i * 4 + 1] = this.palette[alpha * 4 + 1];
+        pixels[i * 4 + 2] = this.palette[alpha * 4 + 2];
+      }
+    }
+
+    this.ctx.putImageData(image, 0, 0);
+  }
+
+  /**
+   * Return aggregated intensity under the given position, which is the sum of point weights
+   * scaled by stamp falloff, in the same unit as point weight. Unlike colours, it is not capped
+   * at max. While a render is in progress, intensity is found in the last completed render.
+   * It returns an empty list if no point contributes to the position.
+   */
+  findByPosition({ x, y }) {
+    if (isNullVoid(this.renderedHeatmap)) return [];
+
+    const { blur, points, radius } = this.renderedHeatmap;
+    const intensity = points.reduce((accumulator, { position, weight }) => {
+      if (weight <= 0) return accumulator;
+
+      const distance = Math.sqrt((x - position[0]) ** 2 + (y - position[1]) ** 2);
+
+      return accumulator + weight * Heatmap.getFalloff(blur, radius, distance);
+    }, 0);
+
+    if (intensity === 0) return [];
+
+    return [{
+      intensity,
+    }];
+  }
+
+  /**
+   * Points are projected by scheduler, then stamps are added up and colourised at once. Max
+   * defaults to the peak intensity within canvas.
+   */
+  async render() {
+    const points = await this.scheduler.execute(this.data, (eachPoint) => {
+      let { position, weight } = eachPoint;
+
+      if (this.getSnapshotBeforeRender) {
+        const snapshot = this.getSnapshotBeforeRender(eachPoint);
+        position = snapshot.position;
+        weight = snapshot.weight;
+      }
+
+      return {
+        position: [Math.round(position[0]), Math.round(position[1])],
+        weight: isNullVoid(weight) ? 1 : weight,
+      };
+    });
+    const max = isNullVoid(this.max)
+      ? Heatmap.getPeakIntensity(points, this.blur, this.height, this.radius, this.width) || 1
+      : this.max;
+
+    this.intensityCtx.clearRect(0, 0, this.width, this.height);
+    points.forEach((point) => {
+      Heatmap.render(this.intensityCtx, max, point, this.stamp, this.radius);
+    });
+    this.colourise();
+    this.renderedHeatmap = {
+      blur: this.blur,
+      points,
+      radius: this.radius,
+    };
+  }
+}
+
+/**
+ * Cold to hot colour ramp.
+ */
+Heatmap.defaultGradient = {
+  0.4: 'blue',
+  0.6: 'cyan',
+  0.7: 'lime',
+  0.8: 'yellow',
+  1: 'red',
+};
+
+Heatmap.propTypes = {
+  /**
+   * Blurred fraction of radius, from 0 to 1.
+   */
+  blur: PropTypes.number,
+  canvas: PropTypes.object.isRequired,
+  data: PropTypes.arrayOf(PropTypes.shape({
+    /**
+     * Point position in canvas cartesian coordinate system. i.e. [x, y].
+     */
+    position: PropTypes.arrayOf(PropTypes.number).isRequired,
+    weight: PropTypes.number,
+  })),
+  dpr: PropTypes.number,
+  getSnapshotBeforeRender: PropTypes.func,
+  /**
+   * Colour stops keyed by intensity from 0 to 1.
+   */
+  gradient: PropTypes.objectOf(PropTypes.string),
+  height: PropTypes.number.isRequired,
+  /**
+   * Weight that reaches the hottest colour.
+   * Default the peak intensity within canvas.
+   */
+  max: PropTypes.number,
+  /**
+   * Point radius in pixel.
+   */
+  radius: PropTypes.number,
+  width: PropTypes.number.isRequired,
+};
+
+export default Heatmap;
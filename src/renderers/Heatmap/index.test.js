@@ -0,0 +1,120 @@
+import Heatmap from '.';
+
+/**
+ * Return a fake 2d context, which memorises globalAlpha of every drawn image.
+ */
+const createContext = () => {
+  const ctx = {
+    alphas: [],
+    clearRect: jest.fn(),
+    createLinearGradient: () => ({ addColorStop: jest.fn() }),
+    createRadialGradient: () => ({ addColorStop: jest.fn() }),
+    drawImage: jest.fn(() => ctx.alphas.push(ctx.globalAlpha)),
+    fillRect: jest.fn(),
+    getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4) }),
+    globalAlpha: 1,
+    putImageData: jest.fn(),
+    restore: jest.fn(),
+    save: jest.fn(),
+    scale: jest.fn(),
+  };
+
+  return ctx;
+};
+
+describe('Heatmap renderer', () => {
+  let contexts;
+  let canvas;
+
+  beforeEach(() => {
+    contexts = new Map();
+    /**
+     * jsdom does not implement canvas.
+     */
+    const { prototype } = window.HTMLCanvasElement;
+    jest.spyOn(prototype, 'getContext').mockImplementation(function getContext() {
+      if (!contexts.has(this)) contexts.set(this, createContext());
+      return contexts.get(this);
+    });
+    /**
+     * Scheduler draws in idle time, which jsdom does not have.
+     */
+    window.requestIdleCallback = (callback) => setTimeout(() => {
+      callback({ timeRemaining: () => 1 });
+    });
+    canvas = window.document.createElement('canvas');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete window.requestIdleCallback;
+  });
+
+  it('finds the peak of overlapping point weights', () => {
+    const blur = 0.5;
+    const radius = 12;
+
+    expect(Heatmap.getPeakIntensity([], blur, 100, radius, 100)).toBe(0);
+    expect(Heatmap.getPeakIntensity([
+      { position: [50, 50], weight: 2 },
+    ], blur, 100, radius, 100)).toBeCloseTo(2, 5);
+    expect(Heatmap.getPeakIntensity([
+      { position: [50, 50], weight: 2 },
+      { position: [50, 50], weight: 1 },
+      { position: [53, 50], weight: 1 },
+      { position: [90, 90], weight: 3 },
+    ], blur, 100, radius, 100)).toBeCloseTo(4, 5);
+  });
+
+  it('adds stamps up off-screen and puts only colourised image on canvas', async () => {
+    const heatmap = new Heatmap({
+      canvas,
+      data: [{ position: [10, 10] }, { position: [10, 10] }],
+      height: 20,
+      radius: 5,
+      width: 20,
+    });
+
+    await heatmap.render();
+
+    const ctx = contexts.get(canvas);
+    const { intensityCtx } = heatmap;
+    expect(intensityCtx).not.toBe(ctx);
+    expect(ctx.drawImage).not.toHaveBeenCalled();
+    expect(ctx.putImageData).toHaveBeenCalledTimes(1);
+    /**
+     * Default max is the peak intensity, which two overlapping points of weight 1 reach.
+     */
+    expect(intensityCtx.alphas).toEqual([0.5, 0.5]);
+  });
+
+  it('scales stamps by the given max', async () => {
+    const heatmap = new Heatmap({
+      canvas,
+      data: [{ position: [10, 10], weight: 3 }, { position: [10, 10], weight: 6 }],
+      height: 20,
+      max: 4,
+      radius: 5,
+      width: 20,
+    });
+
+    await heatmap.render();
+    expect(heatmap.intensityCtx.alphas).toEqual([0.75, 1]);
+  });
+
+  it('finds intensity in the last completed render while rendering', async () => {
+    const props = { canvas, height: 20, radius: 5, width: 20 };
+    const heatmap = new Heatmap({ ...props, data: [{ position: [10, 10], weight: 2 }] });
+
+    expect(heatmap.findByPosition({ x: 10, y: 10 })).toEqual([]);
+    await heatmap.render();
+
+    heatmap.config({ ...props, data: [{ position: [0, 0], weight: 5 }] });
+    const rendering = heatmap.render();
+    expect(heatmap.findByPosition({ x: 10, y: 10 })).toEqual([{ intensity: 2 }]);
+    expect(heatmap.findByPosition({ x: 0, y: 0 })).toEqual([]);
+
+    await rendering;
+    expect(heatmap.findByPosition({ x: 0, y: 0 })).toEqual([{ intensity: 5 }]);
+  });
+});
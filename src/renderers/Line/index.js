@@ -0,0 +1,263 @@
+import PropTypes from 'prop-types';
+import CanvasRenderer from '../CanvasRenderer';
+import isNullVoid from '../../utils/isNullVoid';
+
+/**
+ * Canvas line renderer. It shares the same interface with 2drender components, and extends
+ * 2drender Line with per-vertex colours, dash pattern, line caps and joins, and arrowheads.
+ */
+class Line extends CanvasRenderer {
+  /**
+   * Return a colour for every vertex of a path of the given length. A vertex without colour, i.e.
+   * colors is shorter than path, takes the colour of the previous vertex, or line colour if it is
+   * the first vertex.
+   */
+  static getVertexColors(colors, length, color = 'black') {
+    const vertexColors = [];
+
+    for (let index = 0; index < length; index += 1) {
+      const previousColor = index === 0 ? color : vertexColors[index - 1];
+      vertexColors.push(isNullVoid(colors[index]) ? previousColor : colors[index]);
+    }
+
+    return vertexColors;
+  }
+
+  /**
+   * Draw a filled arrowhead whose tip is placed at the given point, pointing to the given angle.
+   */
+  static renderArrow(ctx, color, [x, y], angle, size) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(angle);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(-size, -size / 2);
+    ctx.lineTo(-size, size / 2);
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * Draw arrowheads following the bearing of the segment they are placed on.
+   * End arrow is placed at the last vertex. Repeated arrows are placed every interval pixels
+   * along the line, starting from half interval.
+   */
+  static renderArrows(ctx, renderProps) {
+    const { arrow, color, colors, path, width } = renderProps;
+    const {
+      color: arrowColor,
+      interval = 100,
+      placement = 'end',
+      size = Math.max(width * 3, 8),
+    } = arrow;
+    const getColor = (segmentIndex) => {
+      if (!isNullVoid(arrowColor)) return arrowColor;
+      if (!isNullVoid(colors)) return colors[segmentIndex + 1];
+      return color;
+    };
+
+    if (placement === 'end') {
+      const [previousX, previousY] = path[path.length - 2];
+      const [x, y] = path[path.length - 1];
+      Line.renderArrow(
+        ctx, getColor(path.length - 2), [x, y], Math.atan2(y - previousY, x - previousX), size,
+      );
+      return;
+    }
+
+    let nextDistance = interval / 2;
+    let travelledDistance = 0;
+    path.slice(1).forEach(([x, y], index) => {
+      const [previousX, previousY] = path[index];
+      const segmentLength = Math.sqrt((x - previousX) ** 2 + (y - previousY) ** 2);
+      const angle = Math.atan2(y - previousY, x - previousX);
+
+      if (segmentLength === 0) return;
+
+      while (nextDistance <= travelledDistance + segmentLength) {
+        const t = (nextDistance - travelledDistance) / segmentLength;
+        Line.renderArrow(
+          ctx,
+          getColor(index),
+          [previousX + (x - previousX) * t, previousY + (y - previousY) * t],
+          angle,
+          size,
+        );
+        nextDistance += interval;
+      }
+
+      travelledDistance += segmentLength;
+    });
+  }
+
+  static render(lineObject, ctx, snapshot) {
+    const {
+      arrow,
+      color,
+      colors,
+      dash,
+      gradient,
+      lineCap,
+      lineJoin,
+      path,
+      width,
+    } = snapshot;
+    const internalPath = path.map(([x, y]) => {
+      return [Math.round(x), Math.round(y)];
+    });
+    const internalWidth = Math.round(width);
+    const renderProps = {
+      arrow,
+      color,
+      colors: isNullVoid(colors) ? colors : Line.getVertexColors(colors, path.length, color),
+      dash,
+      gradient,
+      lineCap,
+      lineJoin,
+      path: internalPath,
+      width: internalWidth,
+    };
+    lineObject.renderProps = renderProps;
+
+    if (renderProps.width === 0) return;
+    if (renderProps.path.length <= 1) return;
+
+    /**
+     * The whole polyline is a single path, which is used for hit testing regardless of how many
+     * colours it is painted with.
+     */
+    const path2D = new Path2D();
+    const [startingX, startingY] = renderProps.path[0];
+    path2D.moveTo(startingX, startingY);
+    renderProps.path.slice(1).forEach(([x, y]) => {
+      path2D.lineTo(x, y);
+    });
+    renderProps.path2D = path2D;
+
+    ctx.save();
+    ctx.lineWidth = renderProps.width;
+    ctx.lineJoin = renderProps.lineJoin;
+    if (!isNullVoid(renderProps.dash)) ctx.setLineDash(renderProps.dash);
+
+    if (isNullVoid(renderProps.colors)) {
+      ctx.lineCap = isNullVoid(renderProps.lineCap) ? 'butt' : renderProps.lineCap;
+      ctx.strokeStyle = renderProps.color;
+      ctx.stroke(path2D);
+    } else {
+      /**
+       * Each segment is stroked on its own. Round caps fill the gaps between segments, unless
+       * line cap is specified.
+       * Dash offset carries on from the previous segment so that dash pattern is continuous.
+       */
+      ctx.lineCap = isNullVoid(renderProps.lineCap) ? 'round' : renderProps.lineCap;
+      let travelledDistance = 0;
+      renderProps.path.slice(1).forEach(([x, y], index) => {
+        const [previousX, previousY] = renderProps.path[index];
+        const startColor = renderProps.colors[index];
+
+        if (renderProps.gradient) {
+          const linearGradient = ctx.createLinearGradient(previousX, previousY, x, y);
+          linearGradient.addColorStop(0, startColor);
+          linearGradient.addColorStop(1, renderProps.colors[index + 1]);
+          ctx.strokeStyle = linearGradient;
+        } else {
+          ctx.strokeStyle = startColor;
+        }
+
+        ctx.lineDashOffset = travelledDistance;
+        ctx.beginPath();
+        ctx.moveTo(previousX, previousY);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+        travelledDistance += Math.sqrt((x - previousX) ** 2 + (y - previousY) ** 2);
+      });
+    }
+
+    ctx.restore();
+
+    if (!isNullVoid(renderProps.arrow)) {
+      Line.renderArrows(ctx, renderProps);
+    }
+  }
+
+  findByPosition({ x, y }) {
+    return this.data.filter(({ renderProps }) => {
+      if (isNullVoid(renderProps) || isNullVoid(renderProps.path2D)) return false;
+
+      const { path2D, width } = renderProps;
+      this.ctx.lineWidth = width;
+      return this.ctx.isPointInStroke(path2D, x * this.dpr, y * this.dpr);
+    }).map(({ renderProps, ...other }) => {
+      return other;
+    });
+  }
+
+  render() {
+    return this.scheduler.execute(this.data, (eachLine) => {
+      /**
+       * Snapshot carries every style property to render function.
+       */
+      const snapshot = this.getSnapshotBeforeRender
+        ? this.getSnapshotBeforeRender(eachLine)
+        : eachLine;
+      const {
+        color = 'black',
+        lineJoin = 'miter',
+        width = 1,
+      } = snapshot;
+
+      Line.render(eachLine, this.ctx, {
+        ...snapshot,
+        color,
+        lineJoin,
+        width,
+      });
+    });
+  }
+}
+
+Line.propTypes = {
+  canvas: PropTypes.object.isRequired,
+  data: PropTypes.arrayOf(PropTypes.shape({
+    arrow: PropTypes.shape({
+      color: PropTypes.string,
+      /**
+       * Distance between repeated arrows in pixel.
+       */
+      interval: PropTypes.number,
+      placement: PropTypes.oneOf(['end', 'repeat']),
+      /**
+       * Arrow length in pixel.
+       */
+      size: PropTypes.number,
+    }),
+    color: PropTypes.string,
+    /**
+     * Colour of each vertex. It has higher priority over color. A vertex without colour takes the
+     * colour of the previous vertex.
+     */
+    colors: PropTypes.arrayOf(PropTypes.string),
+    /**
+     * Dash pattern in pixel, which is consumed by setLineDash.
+     */
+    dash: PropTypes.arrayOf(PropTypes.number),
+    /**
+     * Interpolate colours between vertexes if true, otherwise each segment is painted with its
+     * starting vertex colour.
+     */
+    gradient: PropTypes.bool,
+    lineCap: PropTypes.oneOf(['butt', 'round', 'square']),
+    lineJoin: PropTypes.oneOf(['bevel', 'miter', 'round']),
+    path: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)).isRequired,
+    width: PropTypes.number,
+  })),
+  dpr: PropTypes.number,
+  getSnapshotBeforeRender: PropTypes.func,
+  height: PropTypes.number.isRequired,
+  width: PropTypes.number.isRequired,
+};
+
+export default Line;
@@ -0,0 +1,25 @@
+import Line from '.';
+
+describe('Line renderer', () => {
+  it('gives every vertex a colour', () => {
+    expect(Line.getVertexColors(['red', 'blue', 'green'], 3, 'white')).toEqual([
+      'red',
+      'blue',
+      'green',
+    ]);
+  });
+
+  it('paints vertexes without colour with the previous vertex colour', () => {
+    expect(Line.getVertexColors(['red', null, 'green'], 4, 'white')).toEqual([
+      'red',
+      'red',
+      'green',
+      'green',
+    ]);
+  });
+
+  it('paints the first vertex without colour with line colour, which defaults to black', () => {
+    expect(Line.getVertexColors([], 2, 'white')).toEqual(['white', 'white']);
+    expect(Line.getVertexColors([void 0, 'red'], 2)).toEqual(['black', 'red']);
+  });
+});
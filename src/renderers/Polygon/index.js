@@ -0,0 +1,121 @@
+import PropTypes from 'prop-types';
+import CanvasRenderer from '../CanvasRenderer';
+import isNullVoid from '../../utils/isNullVoid';
+
+/**
+ * Canvas polygon renderer. It shares the same interface with 2drender components.
+ */
+class Polygon extends CanvasRenderer {
+  static render(polygonObject, ctx, borderColor, borderWidth, color, opacity, path) {
+    const internalPath = path.map((polygon) => {
+      return polygon.map((ring) => {
+        return ring.map(([x, y]) => {
+          return [Math.round(x), Math.round(y)];
+        });
+      });
+    });
+    const renderProps = {
+      borderColor,
+      borderWidth,
+      color,
+      opacity,
+      path: internalPath,
+    };
+    polygonObject.renderProps = renderProps;
+
+    /**
+     * Outer rings and holes of all polygons are drawn as a single path. Holes are cut out by
+     * even-odd fill rule regardless of ring winding order.
+     */
+    const path2D = new Path2D();
+    renderProps.path.forEach((polygon) => {
+      polygon.forEach((ring) => {
+        if (ring.length <= 2) return;
+
+        const [startingX, startingY] = ring[0];
+        path2D.moveTo(startingX, startingY);
+        ring.slice(1).forEach(([x, y]) => {
+          path2D.lineTo(x, y);
+        });
+        path2D.closePath();
+      });
+    });
+    renderProps.path2D = path2D;
+
+    ctx.save();
+    ctx.globalAlpha = renderProps.opacity;
+    if (!isNullVoid(renderProps.color)) {
+      ctx.fillStyle = renderProps.color;
+      ctx.fill(path2D, 'evenodd');
+    }
+    if (!isNullVoid(renderProps.borderColor) && renderProps.borderWidth > 0) {
+      ctx.strokeStyle = renderProps.borderColor;
+      ctx.lineWidth = renderProps.borderWidth;
+      ctx.stroke(path2D);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Polygons are hit by their filled shape. A position within a hole is not a hit.
+   */
+  findByPosition({ x, y }) {
+    return this.data.filter(({ renderProps }) => {
+      if (isNullVoid(renderProps)) return false;
+
+      return this.ctx.isPointInPath(renderProps.path2D, x * this.dpr, y * this.dpr, 'evenodd');
+    }).map(({ renderProps, ...other }) => {
+      return other;
+    });
+  }
+
+  render() {
+    return this.scheduler.execute(this.data, (eachPolygon) => {
+      let {
+        borderColor,
+        borderWidth,
+        color,
+        opacity,
+        path,
+      } = eachPolygon;
+
+      if (this.getSnapshotBeforeRender) {
+        const snapshot = this.getSnapshotBeforeRender(eachPolygon);
+        borderColor = snapshot.borderColor;
+        borderWidth = snapshot.borderWidth;
+        color = snapshot.color;
+        opacity = snapshot.opacity;
+        path = snapshot.path;
+      }
+
+      if (isNullVoid(borderWidth)) borderWidth = 1;
+      if (isNullVoid(color)) color = 'black';
+      if (isNullVoid(opacity)) opacity = 1;
+
+      Polygon.render(eachPolygon, this.ctx, borderColor, borderWidth, color, opacity, path);
+    });
+  }
+}
+
+Polygon.propTypes = {
+  canvas: PropTypes.object.isRequired,
+  data: PropTypes.arrayOf(PropTypes.shape({
+    borderColor: PropTypes.string,
+    borderWidth: PropTypes.number,
+    color: PropTypes.string,
+    opacity: PropTypes.number,
+    /**
+     * A list of polygons. Each polygon is a list of rings, outer ring first followed by holes.
+     * Each ring is a list of canvas coordinates.
+     */
+    path: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.arrayOf(
+      PropTypes.arrayOf(PropTypes.number),
+    ))).isRequired,
+  })),
+  dpr: PropTypes.number,
+  getSnapshotBeforeRender: PropTypes.func,
+  height: PropTypes.number.isRequired,
+  width: PropTypes.number.isRequired,
+};
+
+export default Polygon;
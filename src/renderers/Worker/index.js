@@ -0,0 +1,215 @@
+import PropTypes from 'prop-types';
+import isNullVoid from '../../utils/isNullVoid';
+import workerMain from './workerMain';
+
+/**
+ * Renderer that projects and draws items in a Web Worker. It shares the same interface with
+ * 2drender components, apart from:
+ * 1. Items are given in lng lat coordinates as workerItems, together with map zoom and world
+ * offset. Worker projects items to Web Mercator world pixel coordinates, translates them by world
+ * offset, and draws them onto an OffscreenCanvas.
+ * 2. render function resolves once the finished bitmap is drawn onto canvas. Like 2drender, a
+ * render superseded by a newer render is rejected with 'Cancelled'.
+ * 3. findByPosition function returns a promise of items, because hit testing runs against the
+ * copy of geometry kept in worker.
+ */
+class WorkerRenderer {
+  /**
+   * Return true if the browser is able to render in a worker.
+   */
+  static isSupported() {
+    return typeof window.Worker === 'function'
+      && typeof window.OffscreenCanvas === 'function'
+      && typeof window.URL.createObjectURL === 'function';
+  }
+
+  constructor(props = {}) {
+    const { layerType } = props;
+
+    this.layerType = layerType;
+    this.data = [];
+    this.messageId = 0;
+    /**
+     * Resolve functions of find messages that worker has not answered, keyed by message id.
+     */
+    this.pendingFinds = new Map();
+    /**
+     * Worker source code is the stringified worker entry point.
+     */
+    this.workerUrl = window.URL.createObjectURL(new window.Blob(
+      [`(${workerMain.toString()})();`],
+      { type: 'application/javascript' },
+    ));
+    this.worker = new window.Worker(this.workerUrl);
+    this.worker.onmessage = this.handleMessage.bind(this);
+  }
+
+  config(props) {
+    const {
+      canvas,
+      data = [],
+      dpr = 1,
+      height,
+      width,
+      workerItems = [],
+      worldOffset,
+      zoom,
+    } = props;
+
+    if (isNullVoid(canvas) || isNullVoid(height) || isNullVoid(width)) return;
+
+    this.dpr = dpr;
+    this.ctx = canvas.getContext('2d');
+    canvas.height = height * this.dpr;
+    canvas.width = width * this.dpr;
+    this.data = data;
+    this.height = height;
+    this.width = width;
+    this.worldOffset = worldOffset;
+    this.zoom = zoom;
+
+    /**
+     * Geometry is copied to worker only if it changes, so that pan and zoom only post view state.
+     */
+    if (workerItems !== this.workerItems) {
+      this.workerItems = workerItems;
+      this.worker.postMessage({
+        items: workerItems,
+        layerType: this.layerType,
+        type: 'items',
+      });
+    }
+  }
+
+  /**
+   * Cancel pending render, so that its bitmap is discarded rather than drawn onto canvas.
+   */
+  cancel() {
+    if (!isNullVoid(this.pendingRender)) {
+      this.pendingRender.reject('Cancelled');
+      this.pendingRender = void 0;
+    }
+  }
+
+  /**
+   * Terminate worker. Pending render is cancelled, and pending finds resolve to empty lists.
+   */
+  destroy() {
+    this.cancel();
+    this.pendingFinds.forEach((resolve) => resolve([]));
+    this.pendingFinds.clear();
+    this.worker.terminate();
+    window.URL.revokeObjectURL(this.workerUrl);
+  }
+
+  findByPosition({ x, y }) {
+    this.messageId += 1;
+    const id = this.messageId;
+    /**
+     * Worker answers with indexes of the items it knows right now, which are the items given
+     * by the latest config.
+     */
+    const data = this.data;
+
+    this.worker.postMessage({
+      id,
+      type: 'find',
+      x,
+      y,
+    });
+
+    return new Promise((resolve) => {
+      this.pendingFinds.set(id, (indexes) => {
+        resolve(indexes.map((index) => data[index]));
+      });
+    });
+  }
+
+  handleMessage(event) {
+    const message = event.data;
+
+    if (message.type === 'found') {
+      const resolve = this.pendingFinds.get(message.id);
+      if (isNullVoid(resolve)) return;
+
+      this.pendingFinds.delete(message.id);
+      resolve(message.indexes);
+    } else if (message.type === 'rendered') {
+      /**
+       * Bitmap of a superseded render is discarded.
+       */
+      if (isNullVoid(this.pendingRender) || this.pendingRender.id !== message.id) {
+        message.bitmap.close();
+        return;
+      }
+
+      const { ctx, resolve } = this.pendingRender;
+      this.pendingRender = void 0;
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+      ctx.drawImage(message.bitmap, 0, 0);
+      ctx.restore();
+      message.bitmap.close();
+      resolve();
+    }
+  }
+
+  render() {
+    if (!isNullVoid(this.pendingRender)) {
+      this.pendingRender.reject('Cancelled');
+    }
+
+    this.messageId += 1;
+    const id = this.messageId;
+    /**
+     * Bitmap is drawn onto the canvas given by config at the time of render, even if canvas is
+     * reconfigured before worker answers.
+     */
+    const ctx = this.ctx;
+
+    this.worker.postMessage({
+      dpr: this.dpr,
+      height: this.height,
+      id,
+      type: 'render',
+      width: this.width,
+      worldOffset: this.worldOffset,
+      zoom: this.zoom,
+    });
+
+    return new Promise((resolve, reject) => {
+      this.pendingRender = {
+        ctx,
+        id,
+        reject,
+        resolve,
+      };
+    });
+  }
+}
+
+WorkerRenderer.propTypes = {
+  canvas: PropTypes.object.isRequired,
+  /**
+   * Data items that are returned by findByPosition, in the same order as workerItems.
+   */
+  data: PropTypes.array,
+  dpr: PropTypes.number,
+  height: PropTypes.number.isRequired,
+  width: PropTypes.number.isRequired,
+  /**
+   * Item geometry and styles in lng lat coordinates, which are copied to worker.
+   */
+  workerItems: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Offset from world pixel coordinates to canvas coordinates. i.e. [x, y].
+   */
+  worldOffset: PropTypes.arrayOf(PropTypes.number).isRequired,
+  /**
+   * Map zoom.
+   */
+  zoom: PropTypes.number.isRequired,
+};
+
+export default WorkerRenderer;
@@ -0,0 +1,195 @@
+/**
+ * Entry point of render worker. Its source code is loaded into a Blob worker, therefore it must
+ * be self-contained: it must not reference imports or anything outside of the function, nor use
+ * syntax that compiles to module-level helpers, such as array destructuring, spread and classes.
+ *
+ * Worker keeps a copy of item geometry in lng lat coordinates, and handles three messages:
+ * 1. items: { items, layerType } replaces item geometry.
+ * 2. render: { dpr, height, id, width, worldOffset, zoom } projects items to Web Mercator world
+ * pixel coordinates at the given zoom, translates them by world offset to canvas coordinates,
+ * draws them onto an OffscreenCanvas, and posts { bitmap, id, type: 'rendered' } back.
+ * 3. find: { id, x, y } posts { id, indexes, type: 'found' } back, where indexes are indexes of
+ * items rendered at the given canvas position, in data order.
+ */
+export default function workerMain() {
+  const MAX_LATITUDE = 85.0511287798;
+  let items = [];
+  let layerType;
+  let canvas;
+  let ctx;
+  let dpr = 1;
+  /**
+   * Canvas geometry of rendered items, which is used for hit testing.
+   */
+  let renderProps = [];
+
+  const isNullVoid = (parameter) => parameter === null || parameter === undefined;
+
+  const createProjection = (zoom, worldOffset) => {
+    const worldSize = 256 * (2 ** zoom);
+    const toWorld = (coordinates) => {
+      const lng = Array.isArray(coordinates) ? coordinates[0] : coordinates.lng;
+      const lat = Math.min(
+        Math.max(Array.isArray(coordinates) ? coordinates[1] : coordinates.lat, -MAX_LATITUDE),
+        MAX_LATITUDE,
+      );
+      const sinLat = Math.sin((lat * Math.PI) / 180);
+
+      return {
+        x: ((lng + 180) / 360) * worldSize,
+        y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * worldSize,
+      };
+    };
+
+    return (coordinates) => {
+      const world = toWorld(coordinates);
+      return [world.x + worldOffset[0], world.y + worldOffset[1]];
+    };
+  };
+
+  const renderers = {
+    grid: {
+      isHit: (props, x, y) => {
+        return props.left <= x && x <= props.left + props.width
+          && props.top <= y && y <= props.top + props.height;
+      },
+      render: (item, project) => {
+        const topLeft = project(item.topLeft);
+        const bottomRight = project(item.bottomRight);
+        const props = {
+          height: Math.round(bottomRight[1]) - Math.round(topLeft[1]),
+          left: Math.round(topLeft[0]),
+          top: Math.round(topLeft[1]),
+          width: Math.round(bottomRight[0]) - Math.round(topLeft[0]),
+        };
+
+        if (props.width === 0 || props.height === 0) return props;
+
+        if (!isNullVoid(item.color)) {
+          ctx.fillStyle = item.color;
+          ctx.fillRect(props.left, props.top, props.width, props.height);
+        }
+        if (!isNullVoid(item.borderColor)) {
+          ctx.lineWidth = 1;
+          ctx.strokeStyle = item.borderColor;
+          ctx.strokeRect(props.left, props.top, props.width, props.height);
+        }
+
+        return props;
+      },
+    },
+    line: {
+      isHit: (props, x, y) => {
+        if (isNullVoid(props.path2D)) return false;
+
+        ctx.lineWidth = props.width;
+        return ctx.isPointInStroke(props.path2D, x * dpr, y * dpr);
+      },
+      render: (item, project) => {
+        const path = item.path.map((coordinates) => {
+          const point = project(coordinates);
+          return [Math.round(point[0]), Math.round(point[1])];
+        });
+        const width = Math.round(isNullVoid(item.width) ? 1 : item.width);
+        const props = { width };
+
+        if (width === 0 || path.length <= 1) return props;
+
+        const path2D = new Path2D();
+        path2D.moveTo(path[0][0], path[0][1]);
+        path.slice(1).forEach((point) => {
+          path2D.lineTo(point[0], point[1]);
+        });
+        props.path2D = path2D;
+
+        ctx.save();
+        ctx.lineWidth = width;
+        ctx.lineJoin = isNullVoid(item.lineJoin) ? 'miter' : item.lineJoin;
+        if (!isNullVoid(item.dash)) ctx.setLineDash(item.dash);
+
+        if (isNullVoid(item.colors)) {
+          ctx.lineCap = isNullVoid(item.lineCap) ? 'butt' : item.lineCap;
+          ctx.strokeStyle = isNullVoid(item.color) ? 'black' : item.color;
+          ctx.stroke(path2D);
+        } else {
+          /**
+           * Each segment is stroked on its own, the same way as main thread line renderer.
+           */
+          ctx.lineCap = isNullVoid(item.lineCap) ? 'round' : item.lineCap;
+          let travelledDistance = 0;
+          path.slice(1).forEach((point, index) => {
+            const previousPoint = path[index];
+
+            if (item.gradient) {
+              const linearGradient = ctx.createLinearGradient(
+                previousPoint[0], previousPoint[1], point[0], point[1],
+              );
+              linearGradient.addColorStop(0, item.colors[index]);
+              linearGradient.addColorStop(1, item.colors[index + 1]);
+              ctx.strokeStyle = linearGradient;
+            } else {
+              ctx.strokeStyle = item.colors[index];
+            }
+
+            ctx.lineDashOffset = travelledDistance;
+            ctx.beginPath();
+            ctx.moveTo(previousPoint[0], previousPoint[1]);
+            ctx.lineTo(point[0], point[1]);
+            ctx.stroke();
+            travelledDistance += Math.sqrt(
+              (point[0] - previousPoint[0]) ** 2 + (point[1] - previousPoint[1]) ** 2,
+            );
+          });
+        }
+
+        ctx.restore();
+
+        return props;
+      },
+    },
+  };
+
+  const renderItems = (message) => {
+    const renderer = renderers[layerType];
+    const project = createProjection(message.zoom, message.worldOffset);
+
+    dpr = message.dpr;
+    if (isNullVoid(canvas)) {
+      canvas = new OffscreenCanvas(message.width * dpr, message.height * dpr);
+      ctx = canvas.getContext('2d');
+    }
+    canvas.width = message.width * dpr;
+    canvas.height = message.height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    renderProps = items.map((item) => renderer.render(item, project));
+
+    const bitmap = canvas.transferToImageBitmap();
+    postMessage({ bitmap, id: message.id, type: 'rendered' }, [bitmap]);
+  };
+
+  const findItems = (message) => {
+    const renderer = renderers[layerType];
+    const indexes = [];
+
+    renderProps.forEach((props, index) => {
+      if (renderer.isHit(props, message.x, message.y)) indexes.push(index);
+    });
+
+    postMessage({ id: message.id, indexes, type: 'found' });
+  };
+
+  onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'items') {
+      items = message.items;
+      layerType = message.layerType;
+      renderProps = [];
+    } else if (message.type === 'render') {
+      renderItems(message);
+    } else if (message.type === 'find') {
+      findItems(message);
+    }
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Maximum number of cells an item is inserted into. Items that span more cells are tested
+ * against every query instead, which keeps the index small for a few huge items.
+ */
+const MAX_CELLS_PER_ITEM = 64;
+
+/**
+ * GridIndex is a static spatial index over lng lat bounding boxes. The extent of all boxes is
+ * divided into a uniform grid of roughly one cell per few items, and each box is registered in
+ * every cell it overlaps.
+ * It is built once for a list of boxes, and answers which boxes intersect a query box.
+ */
+class GridIndex {
+  /**
+   * Bounds is a list of bounding boxes [minLng, minLat, maxLng, maxLat]. An item without
+   * bounding box, i.e. null, is returned by every query.
+   */
+  constructor(bounds) {
+    this.bounds = bounds;
+    /**
+     * Items that are returned by every query, or tested against every query.
+     */
+    this.unindexed = [];
+
+    let minLng = Infinity;
+    let minLat = Infinity;
+    let maxLng = -Infinity;
+    let maxLat = -Infinity;
+    bounds.forEach((box) => {
+      if (box === null || box === void 0) return;
+
+      minLng = Math.min(minLng, box[0]);
+      minLat = Math.min(minLat, box[1]);
+      maxLng = Math.max(maxLng, box[2]);
+      maxLat = Math.max(maxLat, box[3]);
+    });
+
+    /**
+     * Roughly four items per cell if items are evenly distributed.
+     */
+    this.size = Math.max(1, Math.ceil(Math.sqrt(bounds.length / 4)));
+    this.minLng = minLng;
+    this.minLat = minLat;
+    this.cellLng = (maxLng - minLng) / this.size || 1;
+    this.cellLat = (maxLat - minLat) / this.size || 1;
+    this.cells = new Map();
+
+    bounds.forEach((box, index) => {
+      if (box === null || box === void 0) {
+        this.unindexed.push(index);
+        return;
+      }
+
+      const [column0, row0, column1, row1] = this.getCellRange(box);
+      if ((column1 - column0 + 1) * (row1 - row0 + 1) > MAX_CELLS_PER_ITEM) {
+        this.unindexed.push(index);
+        return;
+      }
+
+      for (let column = column0; column <= column1; column += 1) {
+        for (let row = row0; row <= row1; row += 1) {
+          const key = row * this.size + column;
+          if (!this.cells.has(key)) this.cells.set(key, []);
+          this.cells.get(key).push(index);
+        }
+      }
+    });
+  }
+
+  /**
+   * Return [column0, row0, column1, row1] of cells that a box overlaps, clamped to the grid.
+   */
+  getCellRange([minLng, minLat, maxLng, maxLat]) {
+    const clamp = (value) => Math.min(Math.max(value, 0), this.size - 1);
+
+    return [
+      clamp(Math.floor((minLng - this.minLng) / this.cellLng)),
+      clamp(Math.floor((minLat - this.minLat) / this.cellLat)),
+      clamp(Math.floor((maxLng - this.minLng) / this.cellLng)),
+      clamp(Math.floor((maxLat - this.minLat) / this.cellLat)),
+    ];
+  }
+
+  /**
+   * Return indexes of boxes that intersect the query box [minLng, minLat, maxLng, maxLat], in
+   * ascending order so that items keep their drawing order.
+   */
+  search(box) {
+    const [minLng, minLat, maxLng, maxLat] = box;
+    const isFound = new Uint8Array(this.bounds.length);
+    const indexes = [];
+    const test = (index) => {
+      if (isFound[index] === 1) return;
+      isFound[index] = 1;
+
+      const itemBox = this.bounds[index];
+      if (itemBox === null || itemBox === void 0 || (
+        itemBox[0] <= maxLng && itemBox[2] >= minLng && itemBox[1] <= maxLat && itemBox[3] >= minLat
+      )) {
+        indexes.push(index);
+      }
+    };
+
+    this.unindexed.forEach(test);
+
+    const [column0, row0, column1, row1] = this.getCellRange(box);
+    for (let column = column0; column <= column1; column += 1) {
+      for (let row = row0; row <= row1; row += 1) {
+        const cell = this.cells.get(row * this.size + column);
+        if (cell) cell.forEach(test);
+      }
+    }
+
+    return indexes.sort((a, b) => a - b);
+  }
+}
+
+export default GridIndex;
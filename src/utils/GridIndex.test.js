@@ -0,0 +1,51 @@
+import GridIndex from './GridIndex';
+
+describe('GridIndex', () => {
+  it('returns boxes that intersect the query box, in ascending order', () => {
+    const index = new GridIndex([
+      [10, 10, 11, 11],
+      [0, 0, 1, 1],
+      [5, 5, 6, 6],
+      [0.5, 0.5, 5.5, 5.5],
+    ]);
+
+    expect(index.search([0, 0, 2, 2])).toEqual([1, 3]);
+    expect(index.search([5.2, 5.2, 5.4, 5.4])).toEqual([2, 3]);
+    expect(index.search([20, 20, 30, 30])).toEqual([]);
+  });
+
+  it('returns boxes that touch the query box', () => {
+    const index = new GridIndex([[0, 0, 1, 1]]);
+
+    expect(index.search([1, 1, 2, 2])).toEqual([0]);
+  });
+
+  it('returns items without bounding box for every query', () => {
+    const index = new GridIndex([null, [0, 0, 1, 1], void 0]);
+
+    expect(index.search([50, 50, 60, 60])).toEqual([0, 2]);
+  });
+
+  it('finds the same boxes as a linear scan', () => {
+    const bounds = [];
+    for (let i = 0; i < 400; i += 1) {
+      const lng = (i * 37) % 100;
+      const lat = (i * 53) % 100;
+      bounds.push([lng, lat, lng + (i % 7), lat + (i % 5)]);
+    }
+    /**
+     * A huge box spans more cells than an item is inserted into.
+     */
+    bounds.push([-10, -10, 110, 110]);
+    const index = new GridIndex(bounds);
+    const query = [20, 30, 45, 40];
+    const expected = [];
+    bounds.forEach((box, i) => {
+      if (box[0] <= query[2] && box[2] >= query[0] && box[1] <= query[3] && box[3] >= query[1]) {
+        expected.push(i);
+      }
+    });
+
+    expect(index.search(query)).toEqual(expected);
+  });
+});
@@ -0,0 +1,57 @@
+import { METERS_PER_DEGREE } from './constants';
+
+/**
+ * Reduce weights of all points within a cell to a single value.
+ */
+const aggregators = {
+  count: (points) => points.length,
+  max: (points) => {
+    return points.reduce((accumulator, { weight = 1 }) => Math.max(accumulator, weight), -Infinity);
+  },
+  mean: (points) => aggregators.sum(points) / points.length,
+  sum: (points) => {
+    return points.reduce((accumulator, { weight = 1 }) => accumulator + weight, 0);
+  },
+};
+
+/**
+ * Bin weighted points into square cells of the given size in metres.
+ * Cell width in longitude degrees is derived at the mean latitude of all points.
+ * Cells are aligned to lng lat origin, therefore cell boundaries do not shift with dataset.
+ * Return a list of cells: { bottomRight, points, topLeft, value }. Only non-empty cells are
+ * returned.
+ */
+export default function aggregatePoints(points, { cellSize, type = 'count' }) {
+  if (points.length === 0) return [];
+
+  const meanLat = points.reduce((accumulator, { location }) => {
+    return accumulator + location[1];
+  }, 0) / points.length;
+  const cellLat = cellSize / METERS_PER_DEGREE;
+  const cellLng = cellSize / (METERS_PER_DEGREE * Math.cos((meanLat * Math.PI) / 180));
+
+  /**
+   * Group points by cell column and row.
+   */
+  const cells = new Map();
+  points.forEach((point) => {
+    const [lng, lat] = point.location;
+    const column = Math.floor(lng / cellLng);
+    const row = Math.floor(lat / cellLat);
+    const key = `${column},${row}`;
+
+    if (!cells.has(key)) {
+      cells.set(key, { column, points: [], row });
+    }
+    cells.get(key).points.push(point);
+  });
+
+  return Array.from(cells.values()).map(({ column, points: cellPoints, row }) => {
+    return {
+      bottomRight: [(column + 1) * cellLng, row * cellLat],
+      points: cellPoints,
+      topLeft: [column * cellLng, (row + 1) * cellLat],
+      value: aggregators[type](cellPoints),
+    };
+  });
+}
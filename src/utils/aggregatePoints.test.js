@@ -0,0 +1,51 @@
+import aggregatePoints from './aggregatePoints';
+import { METERS_PER_DEGREE } from './constants';
+
+describe('aggregatePoints', () => {
+  /**
+   * At the equator, a cell of METERS_PER_DEGREE metres is one degree wide and high.
+   */
+  const cellSize = METERS_PER_DEGREE;
+
+  it('returns no cells for no points', () => {
+    expect(aggregatePoints([], { cellSize })).toEqual([]);
+  });
+
+  it('bins points into cells aligned to lng lat origin', () => {
+    const points = [
+      { location: [0.2, -0.5] },
+      { location: [0.8, -0.1] },
+      { location: [1.5, 0.6] },
+    ];
+    const cells = aggregatePoints(points, { cellSize });
+
+    expect(cells).toHaveLength(2);
+    expect(cells[0].topLeft).toEqual([0, 0]);
+    expect(cells[0].bottomRight).toEqual([1, -1]);
+    expect(cells[0].points).toEqual([points[0], points[1]]);
+    expect(cells[0].value).toBe(2);
+    expect(cells[1].topLeft).toEqual([1, 1]);
+    expect(cells[1].value).toBe(1);
+  });
+
+  it('reduces weights with the given aggregation type', () => {
+    const points = [
+      { location: [0.1, 0], weight: 2 },
+      { location: [0.2, 0], weight: 6 },
+      { location: [0.3, 0] },
+    ];
+    const aggregate = (type) => aggregatePoints(points, { cellSize, type })[0].value;
+
+    expect(aggregate('count')).toBe(3);
+    expect(aggregate('sum')).toBe(9);
+    expect(aggregate('mean')).toBe(3);
+    expect(aggregate('max')).toBe(6);
+  });
+
+  it('widens cells in longitude away from the equator', () => {
+    const [cell] = aggregatePoints([{ location: [0.1, 60] }], { cellSize });
+
+    expect(cell.bottomRight[0] - cell.topLeft[0]).toBeCloseTo(2, 10);
+    expect(cell.topLeft[1] - cell.bottomRight[1]).toBeCloseTo(1, 10);
+  });
+});
@@ -0,0 +1,80 @@
+import interpolateColor from './interpolateColor';
+import isNullVoid from './isNullVoid';
+
+/**
+ * Return [lng, lat] regardless of array coordinates or object coordinates.
+ */
+function toArray(coordinates) {
+  if (coordinates instanceof Array) return coordinates;
+  return [coordinates.lng, coordinates.lat];
+}
+
+/**
+ * Clip a path whose vertexes carry ascending timestamps to the time window [start, end].
+ * Segments crossing window boundaries are cut at the interpolated boundary point, so that a path
+ * ends exactly at the end of time window.
+ * Per-vertex colours and values are clipped and interpolated alongside path.
+ * Return { colors, path, times, values }, whose path is empty if no vertex falls in window.
+ */
+export default function clipPathByTime({
+  colors,
+  path,
+  times,
+  values,
+}, start, end) {
+  const clipped = {
+    colors: isNullVoid(colors) ? void 0 : [],
+    path: [],
+    times: [],
+    values: isNullVoid(values) ? void 0 : [],
+  };
+
+  /**
+   * Push the point at time t on segment from vertex index to vertex index + 1.
+   */
+  const pushPoint = (index, t) => {
+    const nextIndex = Math.min(index + 1, path.length - 1);
+    const duration = times[nextIndex] - times[index];
+    const ratio = duration === 0 ? 0 : (t - times[index]) / duration;
+    const [lng0, lat0] = toArray(path[index]);
+    const [lng1, lat1] = toArray(path[nextIndex]);
+    const lng = lng0 + (lng1 - lng0) * ratio;
+    const lat = lat0 + (lat1 - lat0) * ratio;
+    const last = clipped.path.length - 1;
+
+    /**
+     * Consecutive segments share a vertex. Do not push it twice. Vertexes of the same timestamp
+     * at different positions, i.e. a jump, are all kept.
+     */
+    if (last !== -1 && clipped.times[last] === t
+      && clipped.path[last][0] === lng && clipped.path[last][1] === lat) return;
+
+    clipped.path.push([lng, lat]);
+    clipped.times.push(t);
+    if (clipped.values) {
+      clipped.values.push(values[index] + (values[nextIndex] - values[index]) * ratio);
+    }
+    if (clipped.colors) {
+      clipped.colors.push(ratio === 0
+        ? colors[index]
+        : interpolateColor(colors[index], colors[nextIndex], ratio));
+    }
+  };
+
+  if (path.length === 1) {
+    if (start <= times[0] && times[0] <= end) pushPoint(0, times[0]);
+    return clipped;
+  }
+
+  for (let index = 0; index < path.length - 1; index += 1) {
+    const lower = Math.max(times[index], start);
+    const upper = Math.min(times[index + 1], end);
+
+    if (lower <= upper) {
+      pushPoint(index, lower);
+      pushPoint(index, upper);
+    }
+  }
+
+  return clipped;
+}
@@ -0,0 +1,75 @@
+import clipPathByTime from './clipPathByTime';
+
+describe('clipPathByTime', () => {
+  const line = {
+    path: [[0, 0], [10, 0], [10, 10]],
+    times: [0, 10, 20],
+    values: [0, 100, 200],
+  };
+
+  it.each([
+    ['window inside one segment', line, 2, 8, {
+      path: [[2, 0], [8, 0]],
+      times: [2, 8],
+      values: [20, 80],
+    }],
+    ['window inside path across a vertex', line, 5, 15, {
+      path: [[5, 0], [10, 0], [10, 5]],
+      times: [5, 10, 15],
+      values: [50, 100, 150],
+    }],
+    ['window overlapping path start', line, -5, 5, {
+      path: [[0, 0], [5, 0]],
+      times: [0, 5],
+      values: [0, 50],
+    }],
+    ['window overlapping path end', line, 15, 30, {
+      path: [[10, 5], [10, 10]],
+      times: [15, 20],
+      values: [150, 200],
+    }],
+    ['window covering path', line, -10, 30, {
+      path: [[0, 0], [10, 0], [10, 10]],
+      times: [0, 10, 20],
+      values: [0, 100, 200],
+    }],
+    ['window before path', line, -10, -1, { path: [], times: [], values: [] }],
+    ['window after path', line, 21, 30, { path: [], times: [], values: [] }],
+    ['window ending at path start', line, -10, 0, {
+      path: [[0, 0]],
+      times: [0],
+      values: [0],
+    }],
+    ['a jump of duplicate timestamps', {
+      path: [[0, 0], [10, 0], [20, 0], [30, 0]],
+      times: [0, 10, 10, 20],
+    }, 5, 15, {
+      path: [[5, 0], [10, 0], [20, 0], [25, 0]],
+      times: [5, 10, 10, 15],
+    }],
+    ['a jump of duplicate timestamps at window end', {
+      path: [[0, 0], [10, 0], [20, 0], [30, 0]],
+      times: [0, 10, 10, 20],
+    }, 5, 10, {
+      path: [[5, 0], [10, 0], [20, 0]],
+      times: [5, 10, 10],
+    }],
+    ['a pause of duplicate positions', {
+      path: [[0, 0], [10, 0], [10, 0], [20, 0]],
+      times: [0, 10, 20, 30],
+    }, 5, 25, {
+      path: [[5, 0], [10, 0], [10, 0], [15, 0]],
+      times: [5, 10, 20, 25],
+    }],
+    ['a single vertex path', { path: [{ lat: 1, lng: 2 }], times: [5] }, 0, 10, {
+      path: [[2, 1]],
+      times: [5],
+    }],
+  ])('clips %s', (name, input, start, end, expected) => {
+    expect(clipPathByTime(input, start, end)).toEqual({
+      colors: void 0,
+      values: void 0,
+      ...expected,
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Greedily group positions within the given pixel distance of each other.
+ * Positions are visited in order. An unvisited position starts a new group, and claims all
+ * unvisited positions within distance of it. Positions are bucketed into square cells of size
+ * distance so that only neighbouring cells are searched.
+ * Return a list of groups, each of which is a list of position indexes.
+ */
+export default function clusterByDistance(positions, distance) {
+  const buckets = new Map();
+  const getKey = (column, row) => `${column},${row}`;
+
+  positions.forEach(([x, y], index) => {
+    const key = getKey(Math.floor(x / distance), Math.floor(y / distance));
+
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  });
+
+  const isVisited = new Uint8Array(positions.length);
+  const groups = [];
+
+  positions.forEach(([x, y], index) => {
+    if (isVisited[index]) return;
+
+    const group = [];
+    const column = Math.floor(x / distance);
+    const row = Math.floor(y / distance);
+
+    for (let i = column - 1; i <= column + 1; i += 1) {
+      for (let j = row - 1; j <= row + 1; j += 1) {
+        (buckets.get(getKey(i, j)) || []).forEach((neighbour) => {
+          if (isVisited[neighbour]) return;
+
+          const [neighbourX, neighbourY] = positions[neighbour];
+          if ((neighbourX - x) ** 2 + (neighbourY - y) ** 2 <= distance ** 2) {
+            isVisited[neighbour] = 1;
+            group.push(neighbour);
+          }
+        });
+      }
+    }
+
+    groups.push(group.sort((a, b) => a - b));
+  });
+
+  return groups;
+}
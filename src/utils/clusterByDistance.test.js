@@ -0,0 +1,29 @@
+import clusterByDistance from './clusterByDistance';
+
+describe('clusterByDistance', () => {
+  it('groups positions within distance of the position that starts a group', () => {
+    const positions = [[0, 0], [30, 0], [100, 100], [0, 40], [500, 500]];
+
+    expect(clusterByDistance(positions, 50)).toEqual([[0, 1, 3], [2], [4]]);
+  });
+
+  it('does not chain groups through claimed positions', () => {
+    /**
+     * The second position is within distance of both, but the third is not within distance of
+     * the first, therefore it starts its own group.
+     */
+    const positions = [[0, 0], [40, 0], [80, 0]];
+
+    expect(clusterByDistance(positions, 50)).toEqual([[0, 1], [2]]);
+  });
+
+  it('finds neighbours in adjacent buckets and negative coordinates', () => {
+    const positions = [[-1, -1], [1, 1], [-49, 0]];
+
+    expect(clusterByDistance(positions, 50)).toEqual([[0, 1, 2]]);
+  });
+
+  it('returns no groups for no positions', () => {
+    expect(clusterByDistance([], 50)).toEqual([]);
+  });
+});
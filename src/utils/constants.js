@@ -0,0 +1,10 @@
+/**
+ * Length of one degree latitude in metres, which is the circumference of WGS-84 ellipsoid
+ * equator divided by 360.
+ */
+export const METERS_PER_DEGREE = (2 * Math.PI * 6378137) / 360;
+
+/**
+ * Yellow to red sequential colour scale, from colorbrewer YlOrRd.
+ */
+export const SEQUENTIAL_COLORS = ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'];
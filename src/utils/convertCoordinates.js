@@ -0,0 +1,103 @@
+import isCoordinates from './isCoordinates';
+
+/**
+ * Semi-major axis and eccentricity squared of Krasovsky 1940 ellipsoid, which GCJ-02 is based on.
+ */
+const KRASOVSKY_A = 6378245;
+const KRASOVSKY_EE = 0.00669342162296594323;
+/**
+ * BD-09 rotates and shifts GCJ-02 by this factor.
+ */
+const BD09_X_PI = (Math.PI * 3000) / 180;
+
+/**
+ * GCJ-02 offsets coordinates within China only.
+ */
+function isOutOfChina(lng, lat) {
+  return lng < 72.004 || lng > 137.8347 || lat < 0.8293 || lat > 55.8271;
+}
+
+function transformLat(x, y) {
+  return -100 + 2 * x + 3 * y + 0.2 * y * y + 0.1 * x * y + 0.2 * Math.sqrt(Math.abs(x))
+    + ((20 * Math.sin(6 * x * Math.PI) + 20 * Math.sin(2 * x * Math.PI)) * 2) / 3
+    + ((20 * Math.sin(y * Math.PI) + 40 * Math.sin((y / 3) * Math.PI)) * 2) / 3
+    + ((160 * Math.sin((y / 12) * Math.PI) + 320 * Math.sin((y * Math.PI) / 30)) * 2) / 3;
+}
+
+function transformLng(x, y) {
+  return 300 + x + 2 * y + 0.1 * x * x + 0.1 * x * y + 0.1 * Math.sqrt(Math.abs(x))
+    + ((20 * Math.sin(6 * x * Math.PI) + 20 * Math.sin(2 * x * Math.PI)) * 2) / 3
+    + ((20 * Math.sin(x * Math.PI) + 40 * Math.sin((x / 3) * Math.PI)) * 2) / 3
+    + ((150 * Math.sin((x / 12) * Math.PI) + 300 * Math.sin((x / 30) * Math.PI)) * 2) / 3;
+}
+
+/**
+ * Transform WGS-84 coordinates, which GPS reports, to GCJ-02 coordinates, which AMap uses.
+ * Coordinates outside China are returned as they are.
+ */
+export function wgs84ToGcj02(lng, lat) {
+  if (isOutOfChina(lng, lat)) return [lng, lat];
+
+  const radLat = (lat / 180) * Math.PI;
+  const sinLat = Math.sin(radLat);
+  const magic = 1 - KRASOVSKY_EE * sinLat * sinLat;
+  const sqrtMagic = Math.sqrt(magic);
+  const deltaLat = (transformLat(lng - 105, lat - 35) * 180)
+    / (((KRASOVSKY_A * (1 - KRASOVSKY_EE)) / (magic * sqrtMagic)) * Math.PI);
+  const deltaLng = (transformLng(lng - 105, lat - 35) * 180)
+    / ((KRASOVSKY_A / sqrtMagic) * Math.cos(radLat) * Math.PI);
+
+  return [lng + deltaLng, lat + deltaLat];
+}
+
+/**
+ * Transform BD-09 coordinates, which Baidu Maps uses, to GCJ-02 coordinates.
+ */
+export function bd09ToGcj02(lng, lat) {
+  const x = lng - 0.0065;
+  const y = lat - 0.006;
+  const z = Math.sqrt(x * x + y * y) - 0.00002 * Math.sin(y * BD09_X_PI);
+  const theta = Math.atan2(y, x) - 0.000003 * Math.cos(x * BD09_X_PI);
+
+  return [z * Math.cos(theta), z * Math.sin(theta)];
+}
+
+/**
+ * Converters to GCJ-02 keyed by coordinate system.
+ */
+const converters = {
+  bd09: bd09ToGcj02,
+  wgs84: wgs84ToGcj02,
+};
+
+/**
+ * Transform coordinates in the given coordinate system to GCJ-02. Coordinates are either a single
+ * coordinates, [lng, lat] or {lng, lat}, or lists of coordinates nested at any depth, such as
+ * paths and polygons. Values after lng and lat, i.e. altitude, are kept.
+ * Coordinates in GCJ-02 or an unknown coordinate system are returned as they are.
+ */
+export default function convertCoordinates(coordinates, coordinateSystem) {
+  const converter = converters[coordinateSystem];
+
+  if (converter === void 0) return coordinates;
+
+  const convert = (value) => {
+    if (isCoordinates(value)) {
+      if (value instanceof Array) {
+        return [...converter(value[0], value[1]), ...value.slice(2)];
+      }
+
+      const [lng, lat] = converter(value.lng, value.lat);
+      return {
+        ...value,
+        lat,
+        lng,
+      };
+    }
+
+    if (value instanceof Array) return value.map(convert);
+    return value;
+  };
+
+  return convert(coordinates);
+}
@@ -0,0 +1,50 @@
+import convertCoordinates, { bd09ToGcj02, wgs84ToGcj02 } from './convertCoordinates';
+
+describe('wgs84ToGcj02', () => {
+  it('offsets coordinates within China', () => {
+    const [lng, lat] = wgs84ToGcj02(116.397, 39.908);
+
+    expect(lng).toBeCloseTo(116.40324, 4);
+    expect(lat).toBeCloseTo(39.9094, 4);
+  });
+
+  it('returns coordinates outside China as they are', () => {
+    expect(wgs84ToGcj02(-0.1276, 51.5072)).toEqual([-0.1276, 51.5072]);
+  });
+});
+
+describe('bd09ToGcj02', () => {
+  it('removes Baidu offset', () => {
+    const [lng, lat] = bd09ToGcj02(116.40974, 39.91547);
+
+    expect(lng).toBeCloseTo(116.40324, 3);
+    expect(lat).toBeCloseTo(39.9094, 3);
+  });
+});
+
+describe('convertCoordinates', () => {
+  it('returns GCJ-02 and unknown coordinate systems as they are', () => {
+    const coordinates = [116.397, 39.908];
+
+    expect(convertCoordinates(coordinates, 'gcj02')).toBe(coordinates);
+    expect(convertCoordinates(coordinates, 'unknown')).toBe(coordinates);
+  });
+
+  it('converts array and object coordinates, and keeps values after lng and lat', () => {
+    const [lng, lat] = wgs84ToGcj02(116.397, 39.908);
+
+    expect(convertCoordinates([116.397, 39.908, 50], 'wgs84')).toEqual([lng, lat, 50]);
+    expect(convertCoordinates({ alt: 50, lat: 39.908, lng: 116.397 }, 'wgs84')).toEqual({
+      alt: 50,
+      lat,
+      lng,
+    });
+  });
+
+  it('converts coordinates nested at any depth', () => {
+    const [lng, lat] = wgs84ToGcj02(116.397, 39.908);
+    const polygon = [[[116.397, 39.908], [116.397, 39.908]]];
+
+    expect(convertCoordinates(polygon, 'wgs84')).toEqual([[[lng, lat], [lng, lat]]]);
+  });
+});
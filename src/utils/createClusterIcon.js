@@ -0,0 +1,31 @@
+/**
+ * Draw a round badge with count in the centre, and return it as a data URL, which can be consumed
+ * by Image class.
+ * Badge is drawn at device pixel resolution to stay sharp on RETINA devices.
+ */
+export default function createClusterIcon({
+  color,
+  count,
+  dpr = 1,
+  size,
+  textColor,
+}) {
+  const canvas = window.document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  canvas.height = size * dpr;
+  canvas.width = size * dpr;
+  ctx.scale(dpr, dpr);
+
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+
+  ctx.fillStyle = textColor;
+  ctx.font = `${Math.round(size / 3)}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(String(count), size / 2, size / 2);
+
+  return canvas.toDataURL();
+}
@@ -0,0 +1,22 @@
+import interpolateColor from './interpolateColor';
+
+/**
+ * Return a function that maps a value to a colour.
+ * colorScale is either a function of value, or { domain: [min, max], range: [color, ...] },
+ * whose range colours are evenly spread over domain and interpolated in between.
+ * Values outside domain are clamped.
+ */
+export default function createColorScale(colorScale) {
+  if (typeof colorScale === 'function') return colorScale;
+
+  const { domain: [min, max], range } = colorScale;
+
+  return (value) => {
+    if (range.length === 1 || max === min) return range[range.length - 1];
+
+    const t = Math.min(Math.max((value - min) / (max - min), 0), 1) * (range.length - 1);
+    const index = Math.min(Math.floor(t), range.length - 2);
+
+    return interpolateColor(range[index], range[index + 1], t - index);
+  };
+}
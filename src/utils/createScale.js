@@ -0,0 +1,122 @@
+import { get } from 'lodash';
+import interpolateColor from './interpolateColor';
+import isNullVoid from './isNullVoid';
+
+/**
+ * Interpolate between two numbers, or two colours if they are strings.
+ */
+function interpolate(a, b, t) {
+  if (typeof a === 'string') return interpolateColor(a, b, t);
+  return a + (b - a) * t;
+}
+
+/**
+ * Interpolate through evenly spread range stops. t ranges from 0 to 1 and is clamped.
+ */
+function interpolateRange(range, t) {
+  if (range.length === 1) return range[0];
+
+  const position = Math.min(Math.max(t, 0), 1) * (range.length - 1);
+  const index = Math.min(Math.floor(position), range.length - 2);
+
+  return interpolate(range[index], range[index + 1], position - index);
+}
+
+/**
+ * Return [min, max] of field values among data items.
+ */
+function getExtent(data, field) {
+  let min = Infinity;
+  let max = -Infinity;
+
+  data.forEach((item) => {
+    const value = get(item, field);
+    if (typeof value !== 'number') return;
+
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+
+  return [min, max];
+}
+
+/**
+ * Create a function of signature (item, zoom) => value from a declarative scale. Supported
+ * scales are:
+ * 1. linear: { type, field, domain, range } interpolates numbers or colours through range stops,
+ * which are evenly spread over domain.
+ * 2. quantize: { type, field, domain, range } divides domain into equal intervals, each of which
+ * maps to a range value.
+ * 3. quantile: { type, field, range } divides data into groups of equal size, each of which maps
+ * to a range value.
+ * 4. categorical: { type, field, categories, default } looks up field value in categories.
+ * 5. zoom: { type, stops } interpolates numbers or colours between [zoom, value] stops.
+ * Domain defaults to the minimum and maximum field values among data.
+ * Field is a property name or a path, i.e. 'properties.speed'.
+ */
+export default function createScale(scale, data) {
+  const {
+    categories = {},
+    default: defaultValue,
+    field,
+    range,
+    stops,
+    type,
+  } = scale;
+
+  switch (type) {
+    case 'categorical':
+      return (item) => {
+        const value = get(item, field);
+        return categories.hasOwnProperty(value) ? categories[value] : defaultValue;
+      };
+    case 'linear':
+    case 'quantize': {
+      const [min, max] = scale.domain || getExtent(data, field);
+
+      return (item) => {
+        const value = get(item, field);
+        if (typeof value !== 'number') return defaultValue;
+
+        const t = max === min ? 1 : (value - min) / (max - min);
+        if (type === 'linear') return interpolateRange(range, t);
+
+        const index = Math.floor(Math.min(Math.max(t, 0), 1) * range.length);
+        return range[Math.min(index, range.length - 1)];
+      };
+    }
+    case 'quantile': {
+      const values = data.map((item) => get(item, field))
+        .filter((value) => typeof value === 'number')
+        .sort((a, b) => a - b);
+      /**
+       * Threshold i is the lowest value of quantile group i + 1.
+       */
+      const thresholds = range.slice(1).map((value, index) => {
+        return values[Math.floor(((index + 1) / range.length) * values.length)];
+      });
+
+      return (item) => {
+        const value = get(item, field);
+        if (typeof value !== 'number') return defaultValue;
+
+        const index = thresholds.filter((threshold) => value >= threshold).length;
+        return range[index];
+      };
+    }
+    case 'zoom':
+      return (item, zoom) => {
+        if (isNullVoid(stops) || stops.length === 0) return defaultValue;
+        if (zoom <= stops[0][0]) return stops[0][1];
+        if (zoom >= stops[stops.length - 1][0]) return stops[stops.length - 1][1];
+
+        const index = stops.findIndex(([stopZoom]) => stopZoom > zoom);
+        const [zoom0, value0] = stops[index - 1];
+        const [zoom1, value1] = stops[index];
+
+        return interpolate(value0, value1, (zoom - zoom0) / (zoom1 - zoom0));
+      };
+    default:
+      throw new Error(`Unknown scale type: ${type}.`);
+  }
+}
@@ -0,0 +1,75 @@
+import createScale from './createScale';
+
+describe('createScale', () => {
+  const data = [{ speed: 0 }, { speed: 10 }, { speed: 20 }, { speed: 30 }];
+
+  it('interpolates through range stops spread over domain', () => {
+    const scale = createScale({
+      domain: [0, 100],
+      field: 'speed',
+      range: [0, 10, 30],
+      type: 'linear',
+    });
+
+    expect(scale({ speed: 25 })).toBe(5);
+    expect(scale({ speed: 75 })).toBe(20);
+    expect(scale({ speed: 200 })).toBe(30);
+    expect(scale({ speed: -10 })).toBe(0);
+  });
+
+  it('derives domain from data unless given', () => {
+    const scale = createScale({ field: 'speed', range: [0, 1], type: 'linear' }, data);
+
+    expect(scale({ speed: 15 })).toBe(0.5);
+  });
+
+  it('reads field by path, and falls back to default for non-numeric values', () => {
+    const scale = createScale({
+      default: -1,
+      domain: [0, 10],
+      field: 'properties.speed',
+      range: [0, 1],
+      type: 'linear',
+    });
+
+    expect(scale({ properties: { speed: 5 } })).toBe(0.5);
+    expect(scale({ properties: {} })).toBe(-1);
+  });
+
+  it('divides domain into equal intervals', () => {
+    const scale = createScale({ field: 'speed', range: ['a', 'b', 'c'], type: 'quantize' }, data);
+
+    expect(data.map((item) => scale(item))).toEqual(['a', 'b', 'c', 'c']);
+  });
+
+  it('divides data into groups of equal size', () => {
+    const skewed = [{ speed: 1 }, { speed: 2 }, { speed: 3 }, { speed: 100 }];
+    const scale = createScale({ field: 'speed', range: ['low', 'high'], type: 'quantile' }, skewed);
+
+    expect(skewed.map((item) => scale(item))).toEqual(['low', 'low', 'high', 'high']);
+  });
+
+  it('looks up categories', () => {
+    const scale = createScale({
+      categories: { bus: 'red', car: 'blue' },
+      default: 'grey',
+      field: 'type',
+      type: 'categorical',
+    });
+
+    expect(scale({ type: 'bus' })).toBe('red');
+    expect(scale({ type: 'bike' })).toBe('grey');
+  });
+
+  it('interpolates between zoom stops', () => {
+    const scale = createScale({ stops: [[10, 2], [14, 10]], type: 'zoom' });
+
+    expect(scale({}, 8)).toBe(2);
+    expect(scale({}, 12)).toBe(6);
+    expect(scale({}, 16)).toBe(10);
+  });
+
+  it('throws on unknown scale type', () => {
+    expect(() => createScale({ type: 'log' })).toThrow('Unknown scale type: log.');
+  });
+});
@@ -0,0 +1,55 @@
+import createScale from './createScale';
+import isNullVoid from './isNullVoid';
+
+/**
+ * Create a function of signature (item, zoom) => style from a style spec. Each style property is
+ * either a constant, a function of signature (item, zoom) => value, or a declarative scale, which
+ * is an object with type property. See createScale for supported scales.
+ * Scales that depend on data, such as domain and quantiles, are computed once from the given
+ * data.
+ * Resolver has isZoomDependent property, which is true if any style property is a function or a
+ * zoom scale, in which case resolved style may change with zoom.
+ * Resolver has isDataDependent property, which is true if any scale derives domain or quantiles
+ * from data, in which case resolved style may change with data.
+ */
+export default function createStyleResolver(style, data) {
+  let isDataDependent = false;
+  let isZoomDependent = false;
+
+  const resolvers = Object.keys(style).map((property) => {
+    const spec = style[property];
+
+    if (typeof spec === 'function') {
+      isZoomDependent = true;
+      return [property, spec];
+    }
+    if (spec !== null && typeof spec === 'object' && typeof spec.type === 'string') {
+      if (spec.type === 'zoom') isZoomDependent = true;
+      if (spec.type === 'quantile'
+        || ((spec.type === 'linear' || spec.type === 'quantize') && isNullVoid(spec.domain))
+      ) {
+        isDataDependent = true;
+      }
+      return [property, createScale(spec, data)];
+    }
+    return [property, () => spec];
+  });
+
+  const styleResolver = (item, zoom) => {
+    const resolvedStyle = {};
+
+    resolvers.forEach(([property, resolve]) => {
+      const value = resolve(item, zoom);
+      /**
+       * Undefined value falls back to renderer default.
+       */
+      if (value !== void 0) resolvedStyle[property] = value;
+    });
+
+    return resolvedStyle;
+  };
+  styleResolver.isDataDependent = isDataDependent;
+  styleResolver.isZoomDependent = isZoomDependent;
+
+  return styleResolver;
+}
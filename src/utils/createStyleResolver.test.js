@@ -0,0 +1,40 @@
+import createStyleResolver from './createStyleResolver';
+
+describe('createStyleResolver', () => {
+  it('resolves constants, functions and scales of every style property', () => {
+    const resolve = createStyleResolver({
+      lineWidth: (item, zoom) => zoom / 2,
+      opacity: 0.5,
+      radius: { domain: [0, 10], field: 'value', range: [2, 12], type: 'linear' },
+    });
+
+    expect(resolve({ value: 5 }, 10)).toEqual({ lineWidth: 5, opacity: 0.5, radius: 7 });
+  });
+
+  it('leaves undefined values out so that renderer defaults apply', () => {
+    const resolve = createStyleResolver({
+      color: { categories: { a: 'red' }, field: 'type', type: 'categorical' },
+    });
+
+    expect(resolve({ type: 'b' })).toEqual({});
+  });
+
+  it('tells whether style depends on zoom or data', () => {
+    const constant = createStyleResolver({ opacity: 1 });
+    const zoomScale = createStyleResolver({ radius: { stops: [[1, 1]], type: 'zoom' } });
+    const func = createStyleResolver({ radius: () => 1 });
+    const domainFromData = createStyleResolver({
+      radius: { field: 'value', range: [1, 2], type: 'linear' },
+    }, [{ value: 1 }]);
+    const givenDomain = createStyleResolver({
+      radius: { domain: [0, 1], field: 'value', range: [1, 2], type: 'quantize' },
+    });
+
+    expect([constant.isZoomDependent, constant.isDataDependent]).toEqual([false, false]);
+    expect([zoomScale.isZoomDependent, zoomScale.isDataDependent]).toEqual([true, false]);
+    expect([func.isZoomDependent, func.isDataDependent]).toEqual([true, false]);
+    expect([domainFromData.isZoomDependent, domainFromData.isDataDependent])
+      .toEqual([false, true]);
+    expect([givenDomain.isZoomDependent, givenDomain.isDataDependent]).toEqual([false, false]);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Size of square buckets that placed boxes are indexed by, in pixel.
+ */
+const BUCKET_SIZE = 64;
+
+/**
+ * Place boxes in the given order, skipping every box that overlaps an already placed box.
+ * Box is { bottom, left, right, top } in canvas coordinates.
+ * Placed boxes are indexed by square buckets so that a box is tested against nearby boxes only.
+ * Return a list of flags, true if box at the same index is placed.
+ */
+export default function declutterBoxes(boxes, order) {
+  const buckets = new Map();
+  const isPlaced = boxes.map(() => false);
+
+  /**
+   * Call callback with every bucket key that box covers.
+   */
+  const forEachBucket = ({ bottom, left, right, top }, callback) => {
+    for (let i = Math.floor(left / BUCKET_SIZE); i <= Math.floor(right / BUCKET_SIZE); i += 1) {
+      for (let j = Math.floor(top / BUCKET_SIZE); j <= Math.floor(bottom / BUCKET_SIZE); j += 1) {
+        callback(`${i},${j}`);
+      }
+    }
+  };
+
+  const isOverlapping = (a, b) => {
+    return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+  };
+
+  order.forEach((index) => {
+    const box = boxes[index];
+    let isColliding = false;
+
+    forEachBucket(box, (key) => {
+      if (isColliding || !buckets.has(key)) return;
+
+      isColliding = buckets.get(key).some((placedBox) => isOverlapping(box, placedBox));
+    });
+
+    if (isColliding) return;
+
+    isPlaced[index] = true;
+    forEachBucket(box, (key) => {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(box);
+    });
+  });
+
+  return isPlaced;
+}
@@ -0,0 +1,38 @@
+import declutterBoxes from './declutterBoxes';
+
+describe('declutterBoxes', () => {
+  const box = (left, top, size = 10) => ({
+    bottom: top + size,
+    left,
+    right: left + size,
+    top,
+  });
+
+  it('skips boxes that overlap a box placed before them', () => {
+    const boxes = [box(0, 0), box(5, 5), box(20, 0)];
+
+    expect(declutterBoxes(boxes, [0, 1, 2])).toEqual([true, false, true]);
+  });
+
+  it('places boxes in the given order', () => {
+    const boxes = [box(0, 0), box(5, 5)];
+
+    expect(declutterBoxes(boxes, [1, 0])).toEqual([false, true]);
+  });
+
+  it('places boxes that only touch each other', () => {
+    const boxes = [box(0, 0), box(10, 0), box(0, 10)];
+
+    expect(declutterBoxes(boxes, [0, 1, 2])).toEqual([true, true, true]);
+  });
+
+  it('finds overlaps across bucket boundaries', () => {
+    const boxes = [box(60, 60, 200), box(250, 250, 20), box(300, 300)];
+
+    expect(declutterBoxes(boxes, [0, 1, 2])).toEqual([true, false, true]);
+  });
+
+  it('leaves boxes that are not in order unplaced', () => {
+    expect(declutterBoxes([box(0, 0), box(50, 50)], [1])).toEqual([false, true]);
+  });
+});
@@ -0,0 +1,62 @@
+import getDPR from './getDPR';
+import isNullVoid from './isNullVoid';
+
+/**
+ * Return layers that draw onto their own canvas. Layers that group sub-layers, i.e. GeoJSONLayer,
+ * are replaced by their sub-layers.
+ */
+function flattenLayers(layers) {
+  return layers.reduce((flattenedLayers, layer) => {
+    if (typeof layer.getLayers === 'function') {
+      return [...flattenedLayers, ...flattenLayers(layer.getLayers())];
+    }
+
+    return [...flattenedLayers, layer];
+  }, []);
+}
+
+/**
+ * Composite the given layers into a single canvas, and return a promise of the canvas. Layers
+ * are exported once their renders in progress have completed, then drawn in zIndex order with
+ * their opacity. Layers hidden at the current zoom are left out.
+ * Canvas size is the largest layer size multiplied by pixel ratio, which defaults to device
+ * pixel ratio. Call toDataURL or toBlob on the returned canvas to get an image.
+ * Layers are not rendered again for export. They are copied from their on-screen canvases, which
+ * are rendered at device pixel ratio, therefore detail is capped by device pixel ratio. A larger
+ * pixel ratio gives a larger image, which is upscaled and no sharper.
+ */
+export default function exportLayers(layers, options = {}) {
+  const { pixelRatio = getDPR() } = options;
+  const flattenedLayers = flattenLayers(layers);
+
+  return Promise.all(flattenedLayers.map((layer) => layer.whenRendered())).then(() => {
+    const canvas = window.document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const height = Math.max(0, ...flattenedLayers.map((layer) => layer.height));
+    const width = Math.max(0, ...flattenedLayers.map((layer) => layer.width));
+
+    canvas.height = height * pixelRatio;
+    canvas.width = width * pixelRatio;
+
+    /**
+     * Layers with the same zIndex keep their given order, which is the order they are stacked.
+     */
+    flattenedLayers
+      .map((layer, index) => ({ index, layer }))
+      .sort((a, b) => a.layer.zIndex - b.layer.zIndex || a.index - b.index)
+      .forEach(({ layer }) => {
+        const [minZoom, maxZoom] = layer.zooms;
+        const zoom = layer.adapter.getZoom();
+
+        if (zoom < minZoom || zoom > maxZoom || layer.width === 0 || layer.height === 0) return;
+
+        ctx.globalAlpha = isNullVoid(layer.opacity) ? 1 : layer.opacity;
+        /**
+         * Layer canvas is rendered at layer dpr, and is scaled to the export pixel ratio.
+         */
+        ctx.drawImage(layer.canvas, 0, 0, layer.width * pixelRatio, layer.height * pixelRatio);
+      });
+
+    return canvas;
+  });
+}
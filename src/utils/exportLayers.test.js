@@ -0,0 +1,97 @@
+import exportLayers from './exportLayers';
+
+/**
+ * Return a fake layer whose render completes when the test tells it to.
+ */
+const createLayer = (name, props = {}) => {
+  let resolveRender;
+  const rendering = new Promise((resolve) => {
+    resolveRender = resolve;
+  });
+
+  return {
+    adapter: { getZoom: () => 10 },
+    canvas: name,
+    height: 100,
+    resolveRender,
+    whenRendered: () => rendering,
+    width: 200,
+    zIndex: 12,
+    zooms: [3, 18],
+    ...props,
+  };
+};
+
+describe('exportLayers', () => {
+  let drawnImages;
+
+  beforeEach(() => {
+    drawnImages = [];
+    /**
+     * jsdom does not implement canvas.
+     */
+    const ctx = {
+      drawImage: jest.fn((image, x, y, width, height) => {
+        drawnImages.push([image, ctx.globalAlpha, width, height]);
+      }),
+      globalAlpha: 1,
+    };
+    jest.spyOn(window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('waits for renders in progress', async () => {
+    const layer = createLayer('a');
+    let isExported = false;
+
+    const exporting = exportLayers([layer], { pixelRatio: 1 }).then(() => {
+      isExported = true;
+    });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(isExported).toBe(false);
+
+    layer.resolveRender();
+    await exporting;
+    expect(isExported).toBe(true);
+  });
+
+  it('draws layers in zIndex order with their opacity, and leaves hidden layers out', async () => {
+    const layers = [
+      createLayer('top', { zIndex: 14 }),
+      createLayer('middle', { opacity: 0.5 }),
+      createLayer('bottom', { zIndex: 11 }),
+      createLayer('hidden', { zooms: [12, 18] }),
+    ];
+    layers.forEach((layer) => layer.resolveRender());
+
+    await exportLayers(layers, { pixelRatio: 1 });
+    expect(drawnImages.map(([image, alpha]) => [image, alpha])).toEqual([
+      ['bottom', 1],
+      ['middle', 0.5],
+      ['top', 1],
+    ]);
+  });
+
+  it('flattens grouped layers into their sub-layers', async () => {
+    const subLayers = [createLayer('polygon'), createLayer('line')];
+    subLayers.forEach((layer) => layer.resolveRender());
+
+    await exportLayers([{ getLayers: () => subLayers }], { pixelRatio: 1 });
+    expect(drawnImages.map(([image]) => image)).toEqual(['polygon', 'line']);
+  });
+
+  it('sizes canvas to the largest layer multiplied by pixel ratio', async () => {
+    const layers = [createLayer('a'), createLayer('b', { height: 150, width: 50 })];
+    layers.forEach((layer) => layer.resolveRender());
+
+    const canvas = await exportLayers(layers, { pixelRatio: 2 });
+    expect([canvas.width, canvas.height]).toEqual([400, 300]);
+    expect(drawnImages.map(([, , width, height]) => [width, height])).toEqual([
+      [400, 200],
+      [100, 300],
+    ]);
+  });
+});
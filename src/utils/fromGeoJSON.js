@@ -0,0 +1,82 @@
+import isNullVoid from './isNullVoid';
+
+/**
+ * Convert GeoJSON to layer data items, grouped by the layer they are drawn with:
+ * 1. points: Point and MultiPoint, each point is an item with location.
+ * 2. lines: LineString and MultiLineString, each line string is an item with path.
+ * 3. polygons: Polygon and MultiPolygon, each feature is an item with path.
+ * GeoJSON is either a FeatureCollection, a Feature, or a bare geometry. GeometryCollection is
+ * flattened. Feature properties are passed to every item converted from the feature, so that they
+ * come back in click and hover callbacks. Feature id is passed as featureId, and as id if the
+ * feature converts to a single item. Items converted from the parts of a multi-part feature, i.e.
+ * MultiPoint, MultiLineString or GeometryCollection, are given unique ids `${featureId}-${index}`,
+ * in which index counts parts of the feature.
+ */
+export default function fromGeoJSON(geoJSON) {
+  const lines = [];
+  const points = [];
+  const polygons = [];
+
+  /**
+   * Push [items, item] of each part of geometry to parts, in which items is the group that item
+   * belongs to.
+   */
+  const convertGeometry = (geometry, parts) => {
+    if (isNullVoid(geometry)) return;
+
+    const { coordinates, type } = geometry;
+
+    switch (type) {
+      case 'Point':
+        parts.push([points, { location: coordinates }]);
+        break;
+      case 'MultiPoint':
+        coordinates.forEach((location) => parts.push([points, { location }]));
+        break;
+      case 'LineString':
+        parts.push([lines, { path: coordinates }]);
+        break;
+      case 'MultiLineString':
+        coordinates.forEach((path) => parts.push([lines, { path }]));
+        break;
+      case 'Polygon':
+      case 'MultiPolygon':
+        parts.push([polygons, { path: coordinates }]);
+        break;
+      case 'GeometryCollection':
+        geometry.geometries.forEach((eachGeometry) => convertGeometry(eachGeometry, parts));
+        break;
+      default:
+        throw new Error(`Unknown GeoJSON geometry type: ${type}.`);
+    }
+  };
+
+  const convertFeature = (feature) => {
+    const { id, properties } = feature;
+    const parts = [];
+
+    convertGeometry(feature.geometry, parts);
+    parts.forEach(([items, item], index) => {
+      item.properties = properties;
+      if (!isNullVoid(id)) {
+        item.featureId = id;
+        item.id = parts.length === 1 ? id : `${id}-${index}`;
+      }
+      items.push(item);
+    });
+  };
+
+  if (isNullVoid(geoJSON)) {
+    return { lines, points, polygons };
+  }
+
+  if (geoJSON.type === 'FeatureCollection') {
+    geoJSON.features.forEach(convertFeature);
+  } else if (geoJSON.type === 'Feature') {
+    convertFeature(geoJSON);
+  } else {
+    convertFeature({ geometry: geoJSON });
+  }
+
+  return { lines, points, polygons };
+}
@@ -0,0 +1,82 @@
+import fromGeoJSON from './fromGeoJSON';
+
+describe('fromGeoJSON', () => {
+  it('groups geometries by the layer they are drawn with', () => {
+    const { lines, points, polygons } = fromGeoJSON({
+      coordinates: [[0, 0], [1, 1]],
+      type: 'LineString',
+    });
+
+    expect(lines).toEqual([{ path: [[0, 0], [1, 1]], properties: void 0 }]);
+    expect(points).toEqual([]);
+    expect(polygons).toEqual([]);
+  });
+
+  it('passes feature id and properties to the item of a single-part feature', () => {
+    const { points, polygons } = fromGeoJSON({
+      features: [{
+        geometry: { coordinates: [1, 2], type: 'Point' },
+        id: 'a',
+        properties: { name: 'A' },
+        type: 'Feature',
+      }, {
+        geometry: { coordinates: [[[0, 0], [1, 0], [1, 1]]], type: 'MultiPolygon' },
+        id: 'b',
+        properties: null,
+        type: 'Feature',
+      }],
+      type: 'FeatureCollection',
+    });
+
+    expect(points).toEqual([{
+      featureId: 'a',
+      id: 'a',
+      location: [1, 2],
+      properties: { name: 'A' },
+    }]);
+    expect(polygons).toEqual([{
+      featureId: 'b',
+      id: 'b',
+      path: [[[0, 0], [1, 0], [1, 1]]],
+      properties: null,
+    }]);
+  });
+
+  it('gives each part of a multi-part feature a unique id', () => {
+    const properties = { name: 'A' };
+    const { lines, points } = fromGeoJSON({
+      geometry: {
+        geometries: [
+          { coordinates: [[0, 0], [1, 1]], type: 'MultiPoint' },
+          { coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]], type: 'MultiLineString' },
+        ],
+        type: 'GeometryCollection',
+      },
+      id: 7,
+      properties,
+      type: 'Feature',
+    });
+
+    expect(points.map(({ featureId, id }) => [featureId, id])).toEqual([[7, '7-0'], [7, '7-1']]);
+    expect(lines.map(({ featureId, id }) => [featureId, id])).toEqual([[7, '7-2'], [7, '7-3']]);
+    expect(lines[1]).toMatchObject({ path: [[2, 2], [3, 3]], properties });
+  });
+
+  it('leaves items of features without id without id', () => {
+    const { points } = fromGeoJSON({
+      geometry: { coordinates: [[0, 0], [1, 1]], type: 'MultiPoint' },
+      properties: {},
+      type: 'Feature',
+    });
+
+    expect(points).toEqual([
+      { location: [0, 0], properties: {} },
+      { location: [1, 1], properties: {} },
+    ]);
+  });
+
+  it('returns empty groups for no GeoJSON, and throws on unknown geometry type', () => {
+    expect(fromGeoJSON()).toEqual({ lines: [], points: [], polygons: [] });
+    expect(() => fromGeoJSON({ type: 'Circle' })).toThrow('Unknown GeoJSON geometry type: Circle.');
+  });
+});
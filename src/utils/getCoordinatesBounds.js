@@ -0,0 +1,24 @@
+/**
+ * Return lng lat bounding box [minLng, minLat, maxLng, maxLat] of a list of coordinates.
+ * Coordinates are either [lng, lat] or {lng, lat}.
+ */
+export default function getCoordinatesBounds(coordinatesList) {
+  let minLng = Infinity;
+  let minLat = Infinity;
+  let maxLng = -Infinity;
+  let maxLat = -Infinity;
+
+  coordinatesList.forEach((coordinates) => {
+    let { lng, lat } = coordinates;
+    if (coordinates instanceof Array) {
+      [lng, lat] = coordinates;
+    }
+
+    minLng = Math.min(minLng, lng);
+    minLat = Math.min(minLat, lat);
+    maxLng = Math.max(maxLng, lng);
+    maxLat = Math.max(maxLat, lat);
+  });
+
+  return [minLng, minLat, maxLng, maxLat];
+}
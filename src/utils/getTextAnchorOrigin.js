@@ -0,0 +1,34 @@
+/**
+ * Return text anchor origin in the same way as 2drender Text does. Anchor origin is the offset
+ * from text position to text bottom left point.
+ * anchorOriginDescription has higher priority over anchorOrigin.
+ */
+export default function getTextAnchorOrigin({
+  anchorOrigin,
+  anchorOriginDescription,
+  textHeight,
+  textWidth,
+}) {
+  switch (anchorOriginDescription) {
+    case 'bottom-center':
+      return [-Math.round(textWidth / 2), 0];
+    case 'bottom-left':
+      return [0, 0];
+    case 'bottom-right':
+      return [-Math.round(textWidth), 0];
+    case 'center':
+      return [-Math.round(textWidth / 2), Math.round(textHeight / 2)];
+    case 'middle-left':
+      return [0, Math.round(textHeight / 2)];
+    case 'middle-right':
+      return [-Math.round(textWidth), Math.round(textHeight / 2)];
+    case 'top-center':
+      return [-Math.round(textWidth / 2), Math.round(textHeight)];
+    case 'top-left':
+      return [0, Math.round(textHeight)];
+    case 'top-right':
+      return [-Math.round(textWidth), Math.round(textHeight)];
+    default:
+      return anchorOrigin || [0, 0];
+  }
+}
@@ -0,0 +1,17 @@
+import parseColor from './parseColor';
+
+/**
+ * Linearly interpolate between two colours. t ranges from 0 (colorA) to 1 (colorB).
+ * Return an rgba colour string.
+ */
+export default function interpolateColor(colorA, colorB, t) {
+  const [r0, g0, b0, a0] = parseColor(colorA);
+  const [r1, g1, b1, a1] = parseColor(colorB);
+
+  const r = Math.round(r0 + (r1 - r0) * t);
+  const g = Math.round(g0 + (g1 - g0) * t);
+  const b = Math.round(b0 + (b1 - b0) * t);
+  const a = a0 + (a1 - a0) * t;
+
+  return `rgba(${r}, ${g}, ${b}, ${a})`;
+}
@@ -0,0 +1,7 @@
+/**
+ * Return true if parameter is a single lng lat coordinates, either [lng, lat] or {lng, lat}.
+ */
+export default function isCoordinates(parameter) {
+  if (parameter instanceof Array) return typeof parameter[0] === 'number';
+  return typeof parameter === 'object' && parameter !== null && typeof parameter.lng === 'number';
+}
@@ -0,0 +1,19 @@
+/**
+ * Web Mercator latitude limit, beyond which the world is not square.
+ */
+const MAX_LATITUDE = 85.0511287798;
+
+/**
+ * Transform lng lat coordinates to Web Mercator world pixel coordinates at the given zoom, where
+ * the world is 256 * 2 ^ zoom pixels wide, and its origin is the north west corner.
+ */
+export default function lngLatToWorld(lng, lat, zoom) {
+  const worldSize = 256 * (2 ** zoom);
+  const clampedLat = Math.min(Math.max(lat, -MAX_LATITUDE), MAX_LATITUDE);
+  const sinLat = Math.sin((clampedLat * Math.PI) / 180);
+
+  return [
+    ((lng + 180) / 360) * worldSize,
+    (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * worldSize,
+  ];
+}
@@ -0,0 +1,41 @@
+/**
+ * Memorise parsed colours, because a dataset usually shares a handful of colours.
+ */
+const cache = {};
+let ctx;
+
+/**
+ * Parse any CSS colour into [r, g, b, a], where r, g, b range from 0 to 255, and a ranges from
+ * 0 to 1.
+ * Canvas normalises fillStyle to either #rrggbb or rgba(r, g, b, a), which makes named colours,
+ * hsl colours and etc. parsable.
+ */
+export default function parseColor(color) {
+  if (cache.hasOwnProperty(color)) return cache[color];
+
+  if (ctx === void 0) {
+    ctx = window.document.createElement('canvas').getContext('2d');
+  }
+  /**
+   * Reset fillStyle so that an invalid colour does not inherit the previous colour.
+   */
+  ctx.fillStyle = '#000000';
+  ctx.fillStyle = color;
+  const normalisedColor = ctx.fillStyle;
+
+  let rgba;
+  if (normalisedColor[0] === '#') {
+    rgba = [
+      parseInt(normalisedColor.slice(1, 3), 16),
+      parseInt(normalisedColor.slice(3, 5), 16),
+      parseInt(normalisedColor.slice(5, 7), 16),
+      1,
+    ];
+  } else {
+    rgba = normalisedColor.replace(/[^\d.,]/g, '').split(',').map(Number);
+    if (rgba.length === 3) rgba.push(1);
+  }
+
+  cache[color] = rgba;
+  return rgba;
+}
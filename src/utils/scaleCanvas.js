@@ -0,0 +1,37 @@
+import copyCanvas from './copyCanvas';
+
+/**
+ * Scale canvas around the given origin, which stays where it is, i.e. the pointer that map is
+ * zoomed around. Scale 2 enlarges canvas image twice as large, which is zooming in by one level.
+ */
+export default function scaleCanvas({
+  canvas: sourceCanvas,
+  dpr = 1,
+  originX,
+  originY,
+  scale,
+}) {
+  const sourceCtx = sourceCanvas.getContext('2d');
+  /**
+   * Create a copy of source canvas.
+   */
+  const tmpCanvas = copyCanvas(sourceCanvas);
+  /**
+   * Clear source canvas.
+   */
+  sourceCanvas.width = sourceCanvas.width;
+  /**
+   * On an empty canvas, draw scaled canvas image. Every point moves away from origin by scale
+   * times its distance to origin.
+   * Origin should reflect device pixel ratio.
+   */
+  sourceCtx.drawImage(
+    tmpCanvas,
+    originX * dpr * (1 - scale),
+    originY * dpr * (1 - scale),
+    tmpCanvas.width * scale,
+    tmpCanvas.height * scale,
+  );
+
+  return sourceCanvas;
+}
@@ -0,0 +1,19 @@
+import isCoordinates from './isCoordinates';
+
+/**
+ * Normalise a polygon path to multipolygon, which is a list of polygons. Each polygon is a list of
+ * rings, outer ring first followed by holes.
+ * Supported paths are:
+ * 1. A single ring: [[lng, lat], [lng, lat], ...]
+ * 2. A polygon with holes: [outerRing, hole, ...]
+ * 3. A multipolygon: [[outerRing, hole, ...], [outerRing, hole, ...], ...]
+ */
+export default function toMultiPolygon(path) {
+  /**
+   * Empty path has nothing to draw.
+   */
+  if (path.length === 0) return [];
+  if (isCoordinates(path[0])) return [[path]];
+  if (isCoordinates(path[0][0])) return [path];
+  return path;
+}
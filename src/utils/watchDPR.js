@@ -0,0 +1,50 @@
+import getDPR from './getDPR';
+
+/**
+ * Return a media query list that matches the current device pixel ratio only.
+ */
+function matchDPR() {
+  return window.matchMedia(`(resolution: ${getDPR()}dppx)`);
+}
+
+/**
+ * Legacy browsers support addListener and removeListener only.
+ */
+function addChangeListener(mediaQueryList, listener) {
+  if (typeof mediaQueryList.addEventListener === 'function') {
+    mediaQueryList.addEventListener('change', listener);
+  } else {
+    mediaQueryList.addListener(listener);
+  }
+}
+
+function removeChangeListener(mediaQueryList, listener) {
+  if (typeof mediaQueryList.removeEventListener === 'function') {
+    mediaQueryList.removeEventListener('change', listener);
+  } else {
+    mediaQueryList.removeListener(listener);
+  }
+}
+
+/**
+ * Call callback with the new device pixel ratio every time it changes, i.e. when browser window
+ * is dragged to a monitor of another pixel ratio, or when browser is zoomed. Return an unwatch
+ * function.
+ * A media query matches the current pixel ratio only, therefore it is replaced by a query of the
+ * new pixel ratio every time it changes.
+ */
+export default function watchDPR(callback) {
+  if (typeof window.matchMedia !== 'function') return () => {};
+
+  let mediaQueryList = matchDPR();
+  const handleChange = () => {
+    removeChangeListener(mediaQueryList, handleChange);
+    mediaQueryList = matchDPR();
+    addChangeListener(mediaQueryList, handleChange);
+    callback(getDPR());
+  };
+
+  addChangeListener(mediaQueryList, handleChange);
+
+  return () => removeChangeListener(mediaQueryList, handleChange);
+}
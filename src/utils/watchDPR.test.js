@@ -0,0 +1,104 @@
+import watchDPR from './watchDPR';
+
+/**
+ * Return a fake media query list, which supports either the modern or the legacy listener API.
+ */
+const createMediaQueryList = (media, isLegacy) => {
+  const listeners = new Set();
+  const mediaQueryList = {
+    listeners,
+    media,
+  };
+
+  if (isLegacy) {
+    mediaQueryList.addListener = (listener) => listeners.add(listener);
+    mediaQueryList.removeListener = (listener) => listeners.delete(listener);
+  } else {
+    mediaQueryList.addEventListener = (type, listener) => listeners.add(listener);
+    mediaQueryList.removeEventListener = (type, listener) => listeners.delete(listener);
+  }
+
+  return mediaQueryList;
+};
+
+describe('watchDPR', () => {
+  const { devicePixelRatio, matchMedia } = window;
+  let mediaQueryLists;
+
+  /**
+   * Change device pixel ratio, and notify listeners of the query of the previous ratio.
+   */
+  const changeDPR = (dpr) => {
+    const mediaQueryList = mediaQueryLists[mediaQueryLists.length - 1];
+    window.devicePixelRatio = dpr;
+    mediaQueryList.listeners.forEach((listener) => listener());
+  };
+
+  const mockMatchMedia = (isLegacy = false) => {
+    window.matchMedia = (media) => {
+      const mediaQueryList = createMediaQueryList(media, isLegacy);
+      mediaQueryLists.push(mediaQueryList);
+      return mediaQueryList;
+    };
+  };
+
+  beforeEach(() => {
+    mediaQueryLists = [];
+    window.devicePixelRatio = 1;
+  });
+
+  afterEach(() => {
+    window.devicePixelRatio = devicePixelRatio;
+    window.matchMedia = matchMedia;
+  });
+
+  it('calls callback with the new ratio every time ratio changes', () => {
+    mockMatchMedia();
+    const callback = jest.fn();
+
+    watchDPR(callback);
+    changeDPR(2);
+    changeDPR(1.5);
+
+    expect(callback.mock.calls).toEqual([[2], [1.5]]);
+    expect(mediaQueryLists.map(({ media }) => media)).toEqual([
+      '(resolution: 1dppx)',
+      '(resolution: 2dppx)',
+      '(resolution: 1.5dppx)',
+    ]);
+    /**
+     * Only the query of the current ratio is listened to.
+     */
+    expect(mediaQueryLists.map(({ listeners }) => listeners.size)).toEqual([0, 0, 1]);
+  });
+
+  it('stops listening once unwatched', () => {
+    mockMatchMedia();
+    const callback = jest.fn();
+
+    const unwatch = watchDPR(callback);
+    changeDPR(2);
+    unwatch();
+
+    expect(mediaQueryLists.every(({ listeners }) => listeners.size === 0)).toBe(true);
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('supports legacy media query listeners', () => {
+    mockMatchMedia(true);
+    const callback = jest.fn();
+
+    const unwatch = watchDPR(callback);
+    changeDPR(2);
+    expect(callback).toHaveBeenCalledWith(2);
+
+    unwatch();
+    expect(mediaQueryLists.every(({ listeners }) => listeners.size === 0)).toBe(true);
+  });
+
+  it('does nothing if browser does not support media queries', () => {
+    window.matchMedia = void 0;
+
+    expect(() => watchDPR(jest.fn())()).not.toThrow();
+  });
+});